@@ -25,6 +25,8 @@ import { MessagePool } from "./../../js-message/globals/message.js"
 import { Gallery } from "./../../js-gallery/globals/gallery.js"
 import { Mixer } from "./../../js-mixer/globals/mixer.js"
 import { TextureImpl } from "./../../../include/texture.js"
+import { unzip } from "./../modules/zip.js"
+import { decompress } from "./../modules/inflate.js"
 
 export const evLoaderStart = 'evLoaderStart';
 export const evLoaderStop = 'evLoaderStop';
@@ -33,78 +35,712 @@ export const evLoaderFile = 'evLoaderFile';
 export const evLoaderError = 'evLoaderError';
 export const evLoaderComplete = 'evLoaderComplete';
 export const evLoaderTerminate = 'evLoaderTerminate';
+export const evLoaderCancel = 'evLoaderCancel';
+export const evLoaderGroup = 'evLoaderGroup';
+export const evLoaderFree = 'evLoaderFree';
 export const evUserInteraction = 'evUserInteraction';
 
 const sLoadingTexture = 'loader#loading';
 const sPressAnyKey = 'Press Any Key';
 const uMaxParallelJobs = 10;
+const uMaxParallelQueries = 4;
+/** Concurrency pool of query() requests, not limited by uMaxParallelJobs */
+const sQueryJob = 'query';
 
-/** @enum {string} */
-const LoaderSupportedType = {
+/** Built-in types, registered with Loader.registerType @enum {string} */
+export const LoaderSupportedType = {
     IMAGE: "image",
     SOUND: "sound",
     JSON: "json",
     TEXT: "text",
+    FONT: "font",
+    ATLAS: "atlas",
+    BUNDLE: "bundle",
+    AUDIOSPRITE: "audiosprite",
     DATA: "data",
 };
 
-/** @typedef {Object<string, Array<string>>} LoaderSupportedTypes */
-var LoaderSupportedTypes;
+/** @type {Object<string, string>} */
+const soundMimeTypes = {
+    ".mp3": 'audio/mpeg',
+    ".ogg": 'audio/ogg; codecs="vorbis"',
+    ".m4a": 'audio/mp4; codecs="mp4a.40.2"',
+    ".aac": 'audio/aac',
+    ".opus": 'audio/ogg; codecs="opus"',
+    ".webm": 'audio/webm; codecs="opus"',
+    ".wav": 'audio/wav; codecs="1"',
+    ".flac": 'audio/flac',
+};
+
+/** @type {Object<string, string>} */
+const imageMimeTypes = {
+    ".png": 'image/png',
+    ".jpg": 'image/jpeg',
+    ".jpeg": 'image/jpeg',
+    ".gif": 'image/gif',
+    ".svg": 'image/svg+xml',
+    ".webp": 'image/webp',
+    ".avif": 'image/avif',
+};
+
+/**
+ * @param {string} sPath
+ * @returns {string} Lower case extension with leading dot, empty if none
+ */
+function extensionOf(sPath) {
+    let aMatch = /\.[a-z0-9]+$/i.exec(sPath);
+    return (aMatch !== null) ? aMatch[0].toLowerCase() : '';
+}
+
+/** DecompressionStream format by extension of precompressed data @type {Object<string, string>} */
+const compressionFormats = {
+    ".gz": 'gzip',
+    ".deflate": 'deflate',
+};
+
+/**
+ * @param {string} sPath
+ * @returns {string | null} Compression format of precompressed data, like "level.json.gz"
+ */
+function compressionOf(sPath) {
+    let sEXT = extensionOf(sPath.replace(/[?#].*$/, ''));
+    return compressionFormats.hasOwnProperty(sEXT) ? compressionFormats[sEXT] : null;
+}
+
+/**
+ * @param {string} sEXT
+ * @returns {string | null} Mime type of image or sound extension
+ */
+function mimeOf(sEXT) {
+    if (imageMimeTypes.hasOwnProperty(sEXT))
+        return imageMimeTypes[sEXT];
+    if (soundMimeTypes.hasOwnProperty(sEXT))
+        return soundMimeTypes[sEXT];
+    return null;
+}
+
+/**
+ * @param {Uint8Array} aData
+ * @returns {ArrayBuffer} Buffer of exactly aData bytes
+ */
+function bufferOf(aData) {
+    if ((aData.byteOffset === 0) && (aData.byteLength === aData.buffer.byteLength))
+        return /** @type {ArrayBuffer} */ (aData.buffer);
+    return /** @type {ArrayBuffer} */ (aData.buffer.slice(aData.byteOffset, aData.byteOffset + aData.byteLength));
+}
+
+/**
+ * @param {ArrayBuffer | Uint8Array | null} vData
+ * @param {string | null} sMime
+ * @returns {Blob | null} Null if there is no data or Blob is not supported
+ */
+function blobOf(vData, sMime) {
+    if ((vData === null) || (typeof Blob === 'undefined'))
+        return null;
+    return new Blob([ vData ], (sMime !== null) ? { type: sMime } : {});
+}
+
+/** Subresource integrity algorithms from weakest to strongest */
+const aIntegrityAlgorithms = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * Checks bytes against subresource integrity metadata, like "sha384-oqVu... sha256-47DE...",
+ * only hashes of strongest listed algorithm are compared, any of them may match
+ * @param {ArrayBuffer | Uint8Array} vData
+ * @param {string} sIntegrity
+ * @returns {Promise<boolean>} true also if metadata has no supported hash
+ */
+function verifyIntegrity(vData, sIntegrity) {
+    let iStrongest = -1;
+    /** @type {Array<string>} */
+    let aDigests = [];
+    let aTokens = sIntegrity.trim().split(/\s+/);
+    for (let iIndex = 0; iIndex < aTokens.length; iIndex++) {
+        let aMatch = /^([a-z0-9]+)-([A-Za-z0-9+\/]+={0,2})(\?.*)?$/i.exec(aTokens[iIndex]);
+        if (aMatch === null)
+            continue;
+
+        let iAlgorithm = aIntegrityAlgorithms.indexOf(aMatch[1].toLowerCase());
+        if (iAlgorithm > iStrongest) {
+            iStrongest = iAlgorithm;
+            aDigests = [];
+        }
+        if ((iAlgorithm >= 0) && (iAlgorithm === iStrongest))
+            aDigests.push(aMatch[2]);
+    }
+
+    if (iStrongest < 0)
+        return Promise.resolve(true);
+
+    if ((typeof crypto === 'undefined') || (crypto.subtle === undefined)) {
+        // Only secure contexts have crypto.subtle, metadata is not verified there
+        return Promise.resolve(true);
+    }
+
+    let sAlgorithm = 'SHA-' + aIntegrityAlgorithms[iStrongest].substring(3);
+    return crypto.subtle.digest(sAlgorithm, vData).then(function(oDigest) {
+        let sDigest = btoa(String.fromCharCode.apply(null, Array.from(new Uint8Array(oDigest))));
+        return aDigests.indexOf(sDigest) >= 0;
+    });
+}
+
+/** Default preference of .snd virtual extension */
+const aSoundFormats = [".mp3", ".ogg"];
+
+/** @type {Object<string, boolean>} */
+const soundPlayable = {};
 
-/** @type {LoaderSupportedTypes} */
-const supportedTypes = {
-    [LoaderSupportedType.IMAGE]: [".png", ".jpg", ".jpeg", ".gif", ".svg"],
-    [LoaderSupportedType.SOUND]: [".mp3", ".ogg", ".snd"],
-    [LoaderSupportedType.JSON]: [".json"],
-    [LoaderSupportedType.TEXT]: [".txt"],
+/**
+ * @param {string} sEXT Sound extension, like ".ogg"
+ * @returns {boolean} true if browser is able to play format
+ */
+function canPlaySound(sEXT) {
+    if (soundPlayable.hasOwnProperty(sEXT))
+        return soundPlayable[sEXT];
+
+    let bPlayable = false;
+    if (soundMimeTypes.hasOwnProperty(sEXT)) {
+        let domAudio = window.document.createElement('audio');
+        bPlayable = (domAudio.canPlayType !== undefined) && (domAudio.canPlayType(soundMimeTypes[sEXT]) !== '');
+    }
+
+    soundPlayable[sEXT] = bPlayable;
+    return bPlayable;
+}
+
+/** Default preference of .img virtual extension */
+const aImageFormats = [".avif", ".webp", ".png"];
+
+/** Smallest images to detect decoding support of optional formats @type {Object<string, string>} */
+const imageProbes = {
+    ".avif": 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+    ".webp": 'data:image/webp;base64,UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==',
 };
 
+/** Detected decoding support, null until every probe is finished @type {Object<string, boolean> | null} */
+let imageDecodable = null;
+
+/** @type {Array<Function>} */
+const aImageProbeCallbacks = [];
+
+/**
+ * Detects once which optional image formats browser decodes
+ * @param {Function} fnCallback Called when detection is finished
+ */
+function probeImageFormats(fnCallback) {
+    if (imageDecodable !== null) {
+        fnCallback();
+        return;
+    }
+
+    aImageProbeCallbacks.push(fnCallback);
+    if (aImageProbeCallbacks.length > 1)
+        return;
+
+    /** @type {Object<string, boolean>} */
+    let oResult = {};
+    let uPending = Object.keys(imageProbes).length;
+    for (let sEXT in imageProbes) {
+        let domImage = new Image();
+        let fnDone = function(bDecodable) {
+            oResult[sEXT] = bDecodable;
+            uPending--;
+            if (uPending > 0)
+                return;
+
+            imageDecodable = oResult;
+            let aCallbacks = aImageProbeCallbacks.splice(0, aImageProbeCallbacks.length);
+            for (let iIndex = 0; iIndex < aCallbacks.length; iIndex++) {
+                aCallbacks[iIndex]();
+            }
+        };
+        domImage.onload = function() { fnDone(domImage.width > 0); };
+        domImage.onerror = function() { fnDone(false); };
+        domImage.src = imageProbes[sEXT];
+    }
+}
+
+/**
+ * @param {string} sEXT Image extension, like ".webp"
+ * @returns {boolean} true if browser decodes format, formats without probe are always decodable
+ */
+function canDecodeImage(sEXT) {
+    if (!imageProbes.hasOwnProperty(sEXT))
+        return true;
+    return (imageDecodable !== null) && (imageDecodable[sEXT] === true);
+}
+
 /** @enum {string} */
-const LoaderResponseType = {
+export const LoaderResponseType = {
     BLOB: "arraybuffer",
     TEXT: "text",
     JSON: "json",
 };
 
-/** @typedef {Object<string, Array<string>>} LoaderResponseTypes */
-var LoaderResponseTypes;
+/**
+ * Creates cache item of registered type
+ * @typedef {function(LoaderImpl, (string | null), (string | null), string, string, (Function | null)):CacheItem}
+ */
+var LoaderTypeFactory;
 
-/** @type {LoaderResponseTypes} */
-const responseTypes = {
-    [LoaderResponseType.BLOB]: [".bin"],
-    [LoaderResponseType.TEXT]: [".txt"],
-    [LoaderResponseType.JSON]: [".json"],
-};
+class LoaderType {
+	/**
+	 * @param {string} sName
+	 * @param {Object<string, *>} oHandler
+	 */
+	constructor(sName, oHandler) {
+		this.sName = sName;
+		/** @type {Array<string>} */
+		this.aExtensions = /** @type {Array<string>} */ (oHandler['extensions'] || []).map(LoaderImpl.extension);
+		/** XHR response type of type extensions, null keeps text @type {string | null} */
+		this.sResponseType = /** @type {string | null} */ (oHandler['responseType'] || null);
+		/** @type {LoaderTypeFactory} */
+		this.fnCreate = /** @type {LoaderTypeFactory} */ (oHandler['create']);
+	}
+}
 
 /** @typedef {{
 	uTotal: number,
 	uComplete: number,
-	uError: number
+	uError: number,
+	uBytesLoaded: number,
+	uBytesTotal: number,
+	uSized: number,
+	uUnsized: number,
+	uSkipped: number
 }} LoaderStatus */
 var LoaderStatus;
 
+/** @typedef {{
+	uTotal: number,
+	uComplete: number,
+	uError: number,
+	uSkipped: number
+}} LoaderGroupStatus */
+var LoaderGroupStatus;
+
+/** @typedef {{
+	sGroup: (string | null),
+	sKey: (string | null)
+}} LoaderKey */
+var LoaderKey;
+
+/** Atlas frame, sizes are in pixels, rotated frames are stored 90 degrees clockwise
+ * @typedef {{
+	sName: string,
+	iX: number,
+	iY: number,
+	uWidth: number,
+	uHeight: number,
+	bRotated: boolean,
+	bTrimmed: boolean,
+	iOffsetX: number,
+	iOffsetY: number,
+	uSourceWidth: number,
+	uSourceHeight: number,
+	fPivotX: number,
+	fPivotY: number
+}} LoaderAtlasFrame */
+var LoaderAtlasFrame;
+
+/** Audio sprite marker, times are in seconds
+ * @typedef {{
+	sName: string,
+	fStart: number,
+	fDuration: number,
+	bLoop: boolean
+}} LoaderSoundMarker */
+var LoaderSoundMarker;
+
+/** @enum {string} */
+export const LoaderErrorKind = {
+	/** Connection error or media element error */
+	NETWORK: "network",
+	/** Unexpected HTTP status */
+	HTTP: "http",
+	/** Total timeout exceeded */
+	TIMEOUT: "timeout",
+	/** No bytes received for stall timeout */
+	STALL: "stall",
+	/** Request cancelled by user */
+	CANCELLED: "cancelled",
+	/** Downloaded bytes do not match integrity hash */
+	INTEGRITY: "integrity",
+	/** Response is not valid JSON or description has unexpected structure */
+	PARSE: "parse",
+	/** Image, sound, font, archive or compressed data can not be decoded */
+	DECODE: "decode",
+	/** Browser or item type lacks required feature, like loading from memory */
+	UNSUPPORTED: "unsupported",
+	/** Server responded 401 or 403 */
+	AUTH: "auth",
+};
+
+/** Where loaded item bytes came from, see CacheItem.sSource @enum {string} */
+export const LoaderSource = {
+	/** Downloaded */
+	NETWORK: "network",
+	/** Restored from persistent cache, see LoaderImpl.setPersistentCache */
+	DISK: "disk",
+	/** Unpacked from bundle */
+	MEMORY: "memory",
+};
+
+/** @enum {string} */
+export const LoaderFailurePolicy = {
+	/** Stop loading queue and terminate */
+	REQUIRED: "required",
+	/** Log, skip and keep going */
+	OPTIONAL: "optional",
+	/** Load placeholder from "fallback" url instead */
+	FALLBACK: "fallback",
+};
+
 /**
- * @param {string} sEXT
- * @returns {LoaderSupportedType}
+ * Retry policy, from options object (all fields optional):
+ * { "attempts": 5, "delay": 3000, "factor": 2, "jitter": 0.5, "cap": 60000, "statuses": [0, 408, 429, "5xx"], "retryAfter": true }
+ * Negative attempts means infinite, status 0 is connection error
  */
-function typeOf(sEXT) {
-    for (var i in supportedTypes) {
-        if (supportedTypes[i].indexOf(sEXT) != -1)
-            return /** @type {LoaderSupportedType} */ (i);
-    }
-    return LoaderSupportedType.DATA;
+class LoaderRetryPolicy {
+	/**
+	 * @param {Object<string, *>} oOptions
+	 * @param {LoaderRetryPolicy | null} oBase Policy to take missing options from
+	 */
+	constructor(oOptions, oBase) {
+		/** @type {number} */
+		this.iAttempts = /** @type {number} */ (LoaderEntry.option(oOptions, null, 'attempts', (oBase !== null) ? oBase.iAttempts : -1));
+		/** @type {number} */
+		this.uDelay = /** @type {number} */ (LoaderEntry.option(oOptions, null, 'delay', (oBase !== null) ? oBase.uDelay : 3000));
+		/** @type {number} */
+		this.fFactor = /** @type {number} */ (LoaderEntry.option(oOptions, null, 'factor', (oBase !== null) ? oBase.fFactor : 2));
+		/** @type {number} */
+		this.fJitter = /** @type {number} */ (LoaderEntry.option(oOptions, null, 'jitter', (oBase !== null) ? oBase.fJitter : 0.66));
+		/** @type {number} */
+		this.uCap = /** @type {number} */ (LoaderEntry.option(oOptions, null, 'cap', (oBase !== null) ? oBase.uCap : 60000));
+		/** @type {Array<number | string>} */
+		this.aStatuses = /** @type {Array<number | string>} */ (LoaderEntry.option(oOptions, null, 'statuses', (oBase !== null) ? oBase.aStatuses : [0, 408, 429, "5xx"]));
+		/** @type {boolean} */
+		this.bRetryAfter = /** @type {boolean} */ (LoaderEntry.option(oOptions, null, 'retryAfter', (oBase !== null) ? oBase.bRetryAfter : true));
+	}
+
+	/**
+	 * @param {number} uStatus
+	 * @returns {boolean}
+	 */
+	isRetryable(uStatus) {
+		let sClass = ((uStatus / 100) | 0) + 'xx';
+		for (let iIndex = 0; iIndex < this.aStatuses.length; iIndex++) {
+			let vStatus = this.aStatuses[iIndex];
+			if ((vStatus === uStatus) || (vStatus === sClass))
+				return true;
+		}
+		return false;
+	}
+
+	/**
+	 * @param {number} uAttempt Failed attempts count
+	 * @returns {boolean}
+	 */
+	canRetry(uAttempt) {
+		return (this.iAttempts < 0) || (uAttempt < this.iAttempts);
+	}
+
+	/**
+	 * Exponential backoff with jitter
+	 * @param {number} uAttempt Failed attempts count
+	 * @param {number} uRetryAfter Server requested delay in ms, zero if none
+	 * @returns {number} ms
+	 */
+	delay(uAttempt, uRetryAfter) {
+		let fDelay = this.uDelay * Math.pow(this.fFactor, uAttempt - 1);
+		fDelay += fDelay * this.fJitter * Math.random();
+		if (fDelay > this.uCap) fDelay = this.uCap;
+		if ((this.bRetryAfter) && (uRetryAfter > fDelay)) fDelay = uRetryAfter;
+		return fDelay | 0;
+	}
+
+	/**
+	 * @param {string | null} sRetryAfter Retry-After header, seconds or HTTP date
+	 * @returns {number} ms
+	 */
+	static parseRetryAfter(sRetryAfter) {
+		if ((sRetryAfter === null) || (sRetryAfter === ''))
+			return 0;
+
+		let fSeconds = Number(sRetryAfter);
+		if (!isNaN(fSeconds))
+			return Math.max(fSeconds * 1000, 0);
+
+		let fDate = Date.parse(sRetryAfter);
+		if (!isNaN(fDate))
+			return Math.max(fDate - Date.now(), 0);
+
+		return 0;
+	}
 }
 
 /**
- * @param {string} sEXT 
- * @returns {LoaderResponseType}
+ * Config entry, either plain url string or object:
+ * { "url": "img/logo.png", "size": 1024, "policy": "fallback", "fallback": "img/missing.png", "retry": { "attempts": 3 }, "timeout": 30000, "stall": 10000, "priority": 10 }
+ * Size is a hint in bytes, used while Content-Length is unknown
+ * Timeout and stall are in ms, zero disables, missing means loader default (see LoaderImpl.setTimeouts)
+ * Items with higher "priority" are loaded first, default is 0
+ * "persist": false keeps item out of persistent cache, "version" overrides loader one for item
+ * "integrity" is subresource integrity metadata, like "sha384-oqVu...", checked before item is used
+ * Missing options are taken from group defaults (see LoaderImpl.setGroupOptions)
  */
-function responseTypeOf(sEXT) {
-    for (var i in responseTypes) {
-        if (responseTypes[i].indexOf(sEXT) != -1)
-            return /** @type {LoaderResponseType} */ (i);
-    }
-    return LoaderResponseType.TEXT;
+class LoaderEntry {
+	/**
+	 * @param {string | Object<string, *>} oEntry
+	 * @param {Object<string, *> | null} oDefaults
+	 */
+	constructor(oEntry, oDefaults) {
+		/** @type {Object<string, *>} */
+		let oOptions = (typeof oEntry === 'string') ? {} : oEntry;
+
+		this.sUrl = (typeof oEntry === 'string') ? oEntry : /** @type {string} */ (oOptions['url']);
+		this.uSize = /** @type {number} */ (LoaderEntry.option(oOptions, oDefaults, 'size', 0));
+		this.sPolicy = /** @type {LoaderFailurePolicy} */ (LoaderEntry.option(oOptions, oDefaults, 'policy', LoaderFailurePolicy.REQUIRED));
+		this.sFallback = /** @type {string | null} */ (LoaderEntry.option(oOptions, oDefaults, 'fallback', null));
+		/** Retry policy options, see LoaderRetryPolicy */
+		this.oRetry = /** @type {Object<string, *> | null} */ (LoaderEntry.option(oOptions, oDefaults, 'retry', null));
+		this.iTimeout = /** @type {number} */ (LoaderEntry.option(oOptions, oDefaults, 'timeout', -1));
+		this.iStall = /** @type {number} */ (LoaderEntry.option(oOptions, oDefaults, 'stall', -1));
+		this.iPriority = /** @type {number} */ (LoaderEntry.option(oOptions, oDefaults, 'priority', 0));
+		/** Formats of virtual extension in preference order, null for loader defaults */
+		this.aFormats = /** @type {Array<string> | null} */ (LoaderEntry.option(oOptions, oDefaults, 'formats', null));
+		/** Font family, null for item key */
+		this.sFamily = /** @type {string | null} */ (LoaderEntry.option(oOptions, oDefaults, 'family', null));
+		/** Registered type, null to detect by extension */
+		this.sType = /** @type {string | null} */ (LoaderEntry.option(oOptions, null, 'type', null));
+		/** FontFace descriptors, like {weight: "bold"} */
+		this.oDescriptors = /** @type {Object<string, string> | null} */ (LoaderEntry.option(oOptions, oDefaults, 'descriptors', null));
+		/** Store downloaded bytes in persistent cache */
+		this.bPersist = /** @type {boolean} */ (LoaderEntry.option(oOptions, oDefaults, 'persist', true));
+		/** Persistent cache version, null for loader one */
+		this.sVersion = /** @type {string | null} */ (LoaderEntry.option(oOptions, oDefaults, 'version', null));
+		/** Integrity metadata, null for manifest one */
+		this.sIntegrity = /** @type {string | null} */ (LoaderEntry.option(oOptions, null, 'integrity', null));
+	}
+
+	/**
+	 * @param {Object<string, *>} oOptions
+	 * @param {Object<string, *> | null} oDefaults
+	 * @param {string} sName
+	 * @param {*} vDefault
+	 * @returns {*}
+	 */
+	static option(oOptions, oDefaults, sName, vDefault) {
+		if (oOptions[sName] !== undefined)
+			return oOptions[sName];
+		if ((oDefaults !== null) && (oDefaults[sName] !== undefined))
+			return oDefaults[sName];
+		return vDefault;
+	}
+}
+
+export class LoaderError extends Error {
+	/**
+	 * @param {string} sMessage
+	 * @param {CacheItem | null} oCacheItem Status, uri, attempts and cause are taken from item
+	 * @param {LoaderErrorKind | null} sKind
+	 */
+	constructor(sMessage, oCacheItem, sKind) {
+		super(sMessage);
+
+		this.name = 'LoaderError';
+		this.oCacheItem = oCacheItem;
+		this.sKind = sKind;
+		/** HTTP status of last request, 0 if there was no response @type {number} */
+		this.uStatus = (oCacheItem !== null) ? oCacheItem.uStatus : 0;
+		/** Uri of last request @type {string | null} */
+		this.sUrl = (oCacheItem !== null) ? oCacheItem.requestUri() : null;
+		/** Requests made, zero for items from memory or persistent cache @type {number} */
+		this.uAttempt = (oCacheItem !== null) ? oCacheItem.uAttempt : 0;
+		/** Underlying exception, like JSON SyntaxError or decoder DOMException @type {*} */
+		this.cause = (oCacheItem !== null) ? oCacheItem.vCause : null;
+	}
+}
+
+/** @typedef {{
+	aData: Uint8Array,
+	sMime: (string | null)
+}} LoaderStoredFile */
+var LoaderStoredFile;
+
+/** @typedef {{
+	sKey: string,
+	vData: *,
+	sMime: (string | null)
+}} LoaderStoredResponse */
+var LoaderStoredResponse;
+
+/**
+ * Downloaded files kept in Cache Storage between sessions, keyed by uri and version
+ */
+class LoaderPersistentCache {
+	/**
+	 * @param {string} sName Cache Storage name
+	 * @param {string} sVersion Default version, changing it makes stored files outdated
+	 */
+	constructor(sName, sVersion) {
+		this.sName = sName;
+		this.sVersion = sVersion;
+		/** @private @type {Promise<Cache | null> | null} */ this.oCache = null;
+	}
+
+	/**
+	 * @returns {boolean}
+	 */
+	static isSupported() {
+		return (typeof caches !== 'undefined');
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<Cache | null>}
+	 */
+	open() {
+		if (this.oCache === null) {
+			this.oCache = LoaderPersistentCache.isSupported() ? caches.open(this.sName).catch(function() {
+				return null;
+			}) : Promise.resolve(null);
+		}
+		return this.oCache;
+	}
+
+	/**
+	 * @param {string} sUri
+	 * @param {string | null} sVersion Null for default version
+	 * @returns {string} Uri with version query parameter
+	 */
+	key(sUri, sVersion) {
+		let iHash = sUri.indexOf('#');
+		if (iHash >= 0) sUri = sUri.substring(0, iHash);
+		let sQuery = 'loader-version=' + encodeURIComponent((sVersion !== null) ? sVersion : this.sVersion);
+		return sUri + ((sUri.indexOf('?') < 0) ? '?' : '&') + sQuery;
+	}
+
+	/**
+	 * @param {string} sKey
+	 * @returns {Promise<LoaderStoredFile | null>} Null if file is not stored or storage fails
+	 */
+	match(sKey) {
+		return this.open().then(function(oCache) {
+			return (oCache !== null) ? oCache.match(sKey) : undefined;
+		}).then(function(oResponse) {
+			if (oResponse === undefined)
+				return null;
+
+			let sMime = oResponse.headers.get('Content-Type');
+			return oResponse.arrayBuffer().then(function(oBuffer) {
+				return { aData: new Uint8Array(oBuffer), sMime: sMime };
+			});
+		}).catch(function() {
+			return null;
+		});
+	}
+
+	/**
+	 * Bytes are copied synchronously, so buffer may be detached after call,
+	 * storage failure is ignored, file is downloaded again next session
+	 * @param {string} sKey
+	 * @param {*} vData ArrayBuffer, string or parsed JSON
+	 * @param {string | null} sMime
+	 */
+	store(sKey, vData, sMime) {
+		if ((vData === null) || (typeof Response === 'undefined'))
+			return;
+
+		let vBody = ((vData instanceof ArrayBuffer) || (typeof vData === 'string')) ? vData : JSON.stringify(vData);
+		/** @type {Object<string, string>} */
+		let oHeaders = {};
+		if (sMime !== null) oHeaders['Content-Type'] = sMime;
+		let oResponse = new Response(vBody, { 'headers': oHeaders });
+
+		let THIS = this;
+		this.open().then(function(oCache) {
+			if (oCache !== null)
+				return oCache.put(sKey, oResponse);
+		}).catch(function(e) {
+			// Whole cache is dropped, most of it is outdated anyway
+			if ((e !== null) && (e.name === 'QuotaExceededError'))
+				THIS.clear();
+		});
+	}
+
+	/**
+	 * @returns {Promise<boolean>} false if there was nothing to remove
+	 */
+	clear() {
+		this.oCache = null;
+		if (!LoaderPersistentCache.isSupported())
+			return Promise.resolve(false);
+
+		return caches.delete(this.sName).catch(function() {
+			return false;
+		});
+	}
+}
+
+/** @typedef {{
+	sUrl: string,
+	sHash: (string | null),
+	sIntegrity: (string | null),
+	uSize: number
+}} LoaderManifestFile */
+var LoaderManifestFile;
+
+/**
+ * Maps logical paths to versioned urls, paths and urls are relative to base path:
+ * { "img/logo.png": { "url": "img/logo.3f2a9c.png", "hash": "sha256-...", "size": 1024 }, "img/bg.png": "img/bg.77e0d1.png" }
+ * Hash is persistent cache version of file, so only changed files are downloaded again
+ * "integrity" is checked as entry option of same name, hash in integrity format is checked too
+ */
+class LoaderManifest {
+	/**
+	 * @param {string} sBasePath
+	 * @param {Object<string, *>} oData
+	 */
+	constructor(sBasePath, oData) {
+		/** By logical uri @private @type {Object<string, LoaderManifestFile>} */ this.oFiles = {};
+		/** By versioned uri @private @type {Object<string, LoaderManifestFile>} */ this.oUrls = {};
+
+		for (let sPath in oData) {
+			if (!oData.hasOwnProperty(sPath))
+				continue;
+
+			/** @type {Object<string, *>} */
+			let oOptions = (typeof oData[sPath] === 'string') ? { 'url': oData[sPath] } : oData[sPath];
+			let sHash = /** @type {string | null} */ (LoaderEntry.option(oOptions, null, 'hash', null));
+			let bIntegrity = (sHash !== null) && (/^sha(256|384|512)-/i.test(sHash));
+			/** @type {LoaderManifestFile} */
+			let oFile = {
+				sUrl: new URI(sBasePath, /** @type {string} */ (LoaderEntry.option(oOptions, null, 'url', sPath))).build(),
+				sHash: sHash,
+				sIntegrity: /** @type {string | null} */ (LoaderEntry.option(oOptions, null, 'integrity', bIntegrity ? sHash : null)),
+				uSize: /** @type {number} */ (LoaderEntry.option(oOptions, null, 'size', 0))
+			};
+			this.oFiles[new URI(sBasePath, sPath).build()] = oFile;
+			this.oUrls[oFile.sUrl] = oFile;
+		}
+	}
+
+	/**
+	 * @param {string} sUri
+	 * @returns {string} Versioned uri, same uri if it is not in manifest
+	 */
+	resolve(sUri) {
+		return this.oFiles.hasOwnProperty(sUri) ? this.oFiles[sUri].sUrl : sUri;
+	}
+
+	/**
+	 * @param {string} sUrl Versioned uri
+	 * @returns {LoaderManifestFile | null}
+	 */
+	file(sUrl) {
+		return this.oUrls.hasOwnProperty(sUrl) ? this.oUrls[sUrl] : null;
+	}
 }
 
 /**
@@ -116,6 +752,8 @@ class XMLHttpRequestEx {
         this.oCacheItem;
         /** @type {Function} */
         this.evReadyStateChange;
+        /** @type {Function} */
+        this.evProgress;
 
         let ajaxRequest = /** @type {!XMLHttpRequestEx} */ ( new XMLHttpRequest() );
 
@@ -124,7 +762,7 @@ class XMLHttpRequestEx {
 }
 
 /** @abstract */
-class CacheItem {
+export class CacheItem {
     /**
      * @param {LoaderImpl} oLoader
      * @param {string | null} sGroup 
@@ -138,27 +776,205 @@ class CacheItem {
         this.sGroup = sGroup;
 		this.sKey = sKey;
 		this.sUri = sUri;
-		this.aUri = (oLoader.fnFileNamePreprocessor === null) ? [ sUri ] : oLoader.fnFileNamePreprocessor(sUri);
+		/** Formats of virtual extension, null for loader defaults @protected @type {Array<string> | null} */ this.aFormats = null;
+		/** Preprocessed uris before virtual extensions are expanded @private */
+		this.aSourceUri = (oLoader.fnFileNamePreprocessor === null) ? [ sUri ] : oLoader.fnFileNamePreprocessor(sUri);
+		this.aUri = this.expandUri(this.aSourceUri);
 		this.uIndex = 0;
         this.sType = sType;
 
-        /** @private */ this.fnCallback = fnCallback;
+        /** @private @type {Array<Function>} */ this.aCallbacks = (fnCallback !== null) ? [ fnCallback ] : [];
+        /** Every group and key item is cached under, first is sGroup and sKey @type {Array<LoaderKey>} */
+        this.aKeys = [ { sGroup: sGroup, sKey: sKey } ];
+        /** @type {boolean} */ this.bComplete = false;
 
         /** @protected @type {boolean} */ this.bReady;
         /** @private */ this.idRepeat = null;
-        /** @private */ this.iRepeat = -1; // Infinite
         /** @private */ this.uRetry = 0;
-		/** @private */ this.uNext = 0;
+		/** @private */ this.uRetryAfter = 0;
+		/** @private @type {LoaderRetryPolicy | null} */ this.oRetryPolicy = null;
+
+		/** @type {LoaderErrorKind | null} */ this.sErrorKind = null;
+		/** HTTP status of last request @type {number} */ this.uStatus = 0;
+		/** Requests made @type {number} */ this.uAttempt = 0;
+		/** Exception of last failure @type {*} */ this.vCause = null;
+		/** Error item failed with @type {LoaderError | null} */ this.oError = null;
+
+		/** @private @type {number | null} */ this.idWatch = null;
+		/** @private */ this.fWatchStart = 0;
+		/** @private */ this.fWatchActive = 0;
+		/** @private */ this.iTimeout = -1;
+		/** @private */ this.iStall = -1;
+		/** @private @type {Function} */ this.evWatch = this.onWatch.bind(this);
+
+		/** @type {number} */ this.iPriority = 0;
 		
 		/** @protected @type {XMLHttpRequestEx | null} */ this.ajaxRequest = null;
+
+		/** @type {Array<LoaderRequest>} */ this.aRequests = [];
+
+		/** @type {number} */ this.uBytesLoaded = 0;
+		/** @type {number} */ this.uBytesTotal = 0;
+		/** @private */ this.bSized = false;
+		/** Loaded without bytes, counted neither as sized nor as unsized @private */ this.bEmpty = false;
+
+		/** @type {LoaderFailurePolicy} */ this.sPolicy = LoaderFailurePolicy.REQUIRED;
+		/** @private @type {string | null} */ this.sFallback = null;
+
+		/** Where bytes came from, for evLoaderFile listeners @type {LoaderSource} */ this.sSource = LoaderSource.NETWORK;
+		/** @private */ this.bPersist = true;
+		/** @private @type {string | null} */ this.sVersion = null;
+		/** Cleared once stored copy fails to load, item is downloaded since then @private */ this.bRestore = true;
+		/** @private @type {string | null} */ this.sIntegrity = null;
+		/** Incremented on stop, to drop outdated results of asynchronous steps @private */ this.uStop = 0;
+		/** Downloaded file, stored in persistent cache once item is loaded @private @type {LoaderStoredResponse | null} */ this.oUnstored = null;
     }
 
+	/**
+	 * @param {LoaderEntry} oEntry
+	 * @returns {CacheItem}
+	 */
+	configure(oEntry) {
+		this.oLoader.oCount.uUnsized++;
+
+		if (oEntry.uSize > 0)
+			this.progress(0, oEntry.uSize);
+
+		this.sPolicy = oEntry.sPolicy;
+		this.sFallback = oEntry.sFallback;
+		if (oEntry.oRetry !== null)
+			this.oRetryPolicy = new LoaderRetryPolicy(oEntry.oRetry, this.oLoader.oRetryPolicy);
+		this.iTimeout = oEntry.iTimeout;
+		this.iStall = oEntry.iStall;
+		this.iPriority = oEntry.iPriority;
+		if (oEntry.aFormats !== null) {
+			this.aFormats = oEntry.aFormats.map(LoaderImpl.extension);
+			// Constructor expanded virtual extensions with loader formats
+			this.aUri = this.expandUri(this.aSourceUri);
+		}
+		this.bPersist = oEntry.bPersist;
+		this.sVersion = oEntry.sVersion;
+		this.sIntegrity = oEntry.sIntegrity;
+
+		return this;
+	}
+
+	/**
+	 * Removes item bytes from loader status
+	 * @protected
+	 */
+	unconfigure() {
+		let oCount = this.oLoader.oCount;
+		oCount.uBytesLoaded -= this.uBytesLoaded;
+		oCount.uBytesTotal -= this.uBytesTotal;
+		if (this.bSized)
+			oCount.uSized--;
+		else if (!this.bEmpty)
+			oCount.uUnsized--;
+
+		this.uBytesLoaded = 0;
+		this.uBytesTotal = 0;
+		this.bSized = false;
+		this.bEmpty = false;
+	}
+
+	/**
+	 * Starts timeout and stall watchdog for current loading phase
+	 * @protected
+	 */
+	watch() {
+		this.unwatch();
+
+		this.fWatchStart = getTickCounter();
+		this.fWatchActive = this.fWatchStart;
+		this.onWatch();
+	}
+
+	/**
+	 * Marks activity for stall detection
+	 * @protected
+	 */
+	touch() {
+		this.fWatchActive = getTickCounter();
+	}
+
+	/**
+	 * @protected
+	 */
+	unwatch() {
+		if (this.idWatch !== null) {
+			clearTimeout(this.idWatch);
+			this.idWatch = null;
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	onWatch() {
+		this.idWatch = null;
+
+		let uTimeout = (this.iTimeout >= 0) ? this.iTimeout : this.oLoader.uTimeout;
+		let uStall = (this.iStall >= 0) ? this.iStall : this.oLoader.uStall;
+		if ((uTimeout === 0) && (uStall === 0))
+			return;
+
+		let fTick = getTickCounter();
+		let fNext = Infinity;
+		if (uTimeout > 0) {
+			let fLeft = this.fWatchStart + uTimeout - fTick;
+			if (fLeft <= 0) {
+				this.sErrorKind = LoaderErrorKind.TIMEOUT;
+				this.onLoadError(true);
+				return;
+			}
+			fNext = fLeft;
+		}
+		if (uStall > 0) {
+			let fLeft = this.fWatchActive + uStall - fTick;
+			if (fLeft <= 0) {
+				this.sErrorKind = LoaderErrorKind.STALL;
+				this.onLoadError(true);
+				return;
+			}
+			if (fLeft < fNext) fNext = fLeft;
+		}
+
+		this.idWatch = setTimeout(this.evWatch, Math.ceil(fNext));
+	}
+
+	/**
+	 * @protected
+	 * @param {number} uLoaded
+	 * @param {number} uTotal Zero if unknown
+	 */
+	progress(uLoaded, uTotal) {
+		let oCount = this.oLoader.oCount;
+		if (uTotal > 0) {
+			if (!this.bSized) {
+				this.bSized = true;
+				if (this.bEmpty)
+					this.bEmpty = false;
+				else
+					oCount.uUnsized--;
+				oCount.uSized++;
+			}
+			oCount.uBytesTotal += uTotal - this.uBytesTotal;
+			this.uBytesTotal = uTotal;
+		}
+		oCount.uBytesLoaded += uLoaded - this.uBytesLoaded;
+		this.uBytesLoaded = uLoaded;
+		this.oLoader.bStatus = true;
+	}
+
     /**
 	 * @protected
 	 */
     bindAjax() {
         this.ajaxRequest.evReadyStateChange = this.evReadyStateChange.bind(this);
+        this.ajaxRequest.evProgress = this.evProgress.bind(this);
         bindEvent(this.ajaxRequest, 'readystatechange', this.ajaxRequest.evReadyStateChange);
+        bindEvent(this.ajaxRequest, 'progress', this.ajaxRequest.evProgress);
 	}
 
     /**
@@ -169,7 +985,9 @@ class CacheItem {
 			return;
 
 		unbindEvent(this.ajaxRequest, 'readystatechange', this.ajaxRequest.evReadyStateChange);
+		unbindEvent(this.ajaxRequest, 'progress', this.ajaxRequest.evProgress);
 		delete this.ajaxRequest.evReadyStateChange;
+		delete this.ajaxRequest.evProgress;
     }
 
     /**
@@ -182,8 +1000,12 @@ class CacheItem {
 		}
 
 		this.bReady = false;
+		this.uStatus = 0;
+		this.vCause = null;
 		this.ajaxRequest = new XMLHttpRequestEx();
 		this.bindAjax();
+		this.progress(0, 0);
+		this.watch();
 		
 		return true;
 	}
@@ -206,8 +1028,13 @@ class CacheItem {
             this.idRepeat = null;
         }
 
+		this.unwatch();
+		this.uStop++;
+		this.oUnstored = null;
+
 		if (this.ajaxRequest !== null) {
 			this.unbindAjax();
+			this.ajaxRequest.abort();
 
 			if (this.bReady) {
 				this.bReady = false;
@@ -218,31 +1045,177 @@ class CacheItem {
 	}
 
 	/**
+	 * Tries persistent cache first, then network
 	 * @protected
 	 */
     create() {
-		if (this.createAjax())
-			this.startAjax();
+		if (this.oLoader.oManifest !== null)
+			this.locate(this.oLoader.oManifest);
+
+		if ((this.bRestore) && (this.persistent() !== null))
+			this.restore();
+		else
+			this.download();
 	}
 
-    /**
-	 * @abstract
+	/**
+	 * Resolves path referenced by downloaded description, like image of atlas,
+	 * relative to current uri and then as any other item uri, first variant is used
 	 * @protected
+	 * @param {string} sPath
+	 * @returns {string}
 	 */
-    cancel() {}
+	resolveReference(sPath) {
+		if (!/^([a-z][a-z0-9+.\-]*:|\/)/i.test(sPath))
+			sPath = this.aUri[this.uIndex].replace(/[^\/]*$/, '') + sPath;
+
+		let oLoader = this.oLoader;
+		if (oLoader.fnFileNamePreprocessor !== null)
+			sPath = oLoader.fnFileNamePreprocessor(sPath)[0];
+		sPath = this.expandUri([ sPath ])[0];
+		if (oLoader.oManifest !== null)
+			sPath = oLoader.oManifest.resolve(sPath);
+		return sPath;
+	}
 
 	/**
-	 * @protected
+	 * Replaces logical uris with versioned ones, versioned uris are left as is
+	 * @private
+	 * @param {LoaderManifest} oManifest
 	 */
-    release() {
-        this.oLoader.oCount.uError -= this.uRetry;
-        this.uRetry = 0;
+	locate(oManifest) {
+		this.aUri = this.aUri.map(oManifest.resolve, oManifest);
 
-        this.cancel();
-    }
+		let oFile = oManifest.file(this.aUri[this.uIndex]);
+		if ((oFile !== null) && (oFile.uSize > 0) && (!this.bSized))
+			this.progress(this.uBytesLoaded, oFile.uSize);
+	}
 
 	/**
-	 * @protected
+	 * @private
+	 * @returns {string | null} Persistent cache version of current uri, null for loader one
+	 */
+	version() {
+		if ((this.sVersion !== null) || (this.oLoader.oManifest === null))
+			return this.sVersion;
+
+		let oFile = this.oLoader.oManifest.file(this.aUri[this.uIndex]);
+		return (oFile !== null) ? oFile.sHash : null;
+	}
+
+	/**
+	 * @private
+	 */
+	download() {
+		this.sSource = LoaderSource.NETWORK;
+		this.uAttempt++;
+		if (this.createAjax())
+			this.startAjax();
+	}
+
+	/**
+	 * Whether downloaded bytes may be stored in persistent cache,
+	 * false for items loaded in several requests or with side effects
+	 * @protected
+	 * @returns {boolean}
+	 */
+	persistable() {
+		return this.bPersist;
+	}
+
+	/**
+	 * @private
+	 * @returns {LoaderPersistentCache | null} Null if item is not persisted
+	 */
+	persistent() {
+		if ((this.oLoader.oPersistent === null) || (!this.persistable()))
+			return null;
+		return this.oLoader.oPersistent;
+	}
+
+	/**
+	 * Integrity metadata of current uri
+	 * @protected
+	 * @returns {string | null} Null if there is nothing to verify
+	 */
+	integrity() {
+		if ((this.sIntegrity !== null) || (this.oLoader.oManifest === null))
+			return this.sIntegrity;
+
+		let oFile = this.oLoader.oManifest.file(this.aUri[this.uIndex]);
+		return (oFile !== null) ? oFile.sIntegrity : null;
+	}
+
+	/**
+	 * @private
+	 */
+	restore() {
+		let oPersistent = /** @type {LoaderPersistentCache} */ (this.persistent());
+		let uStop = this.uStop;
+		let THIS = this;
+		oPersistent.match(oPersistent.key(this.aUri[this.uIndex], this.version())).then(function(oFile) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			if (oFile === null) {
+				THIS.download();
+				return;
+			}
+
+			// Integrity may be changed since file was stored
+			let sIntegrity = THIS.integrity();
+			let oValid = (sIntegrity !== null) ? verifyIntegrity(oFile.aData, sIntegrity) : Promise.resolve(true);
+			oValid.then(function(bValid) {
+				if (THIS.uStop !== uStop)
+					return;
+
+				if (!bValid) {
+					THIS.bRestore = false;
+					THIS.download();
+					return;
+				}
+
+				THIS.sSource = LoaderSource.DISK;
+				THIS.progress(oFile.aData.length, oFile.aData.length);
+				THIS.loadBytes(oFile.aData, oFile.sMime);
+			}, function(oError) {
+				if (THIS.uStop !== uStop)
+					return;
+
+				THIS.sErrorKind = LoaderErrorKind.INTEGRITY;
+				THIS.vCause = oError;
+				THIS.onLoadError(false);
+			});
+		});
+	}
+
+    /**
+	 * Replaces virtual extensions with actual uris to try in order
+	 * @protected
+	 * @param {Array<string>} aUri
+	 * @returns {Array<string>}
+	 */
+    expandUri(aUri) {
+		return aUri;
+	}
+
+    /**
+	 * @abstract
+	 * @protected
+	 */
+    cancel() {}
+
+	/**
+	 * @protected
+	 */
+    release() {
+        this.uRetry = 0;
+
+        this.cancel();
+    }
+
+	/**
+	 * @protected
 	 * @param {*} event
 	 */
 	evReadyStateChange(event) {
@@ -251,6 +1224,50 @@ class CacheItem {
 		}
 	}
 
+	/**
+	 * @protected
+	 * @param {ProgressEvent} event
+	 */
+	evProgress(event) {
+		this.touch();
+		this.progress(event.loaded, event.lengthComputable ? event.total : 0);
+	}
+
+	/**
+	 * @protected
+	 * @returns {LoaderRetryPolicy}
+	 */
+	retryPolicy() {
+		return (this.oRetryPolicy !== null) ? this.oRetryPolicy : this.oLoader.oRetryPolicy;
+	}
+
+	/**
+	 * Concurrency pool name
+	 * @protected
+	 * @returns {string}
+	 */
+	jobType() {
+		return this.sType;
+	}
+
+	/**
+	 * @protected
+	 * @returns {string} Uri of current request
+	 */
+	requestUri() {
+		return this.aUri[this.uIndex];
+	}
+
+	/**
+	 * Host of current uri, empty for relative uri
+	 * @protected
+	 * @returns {string}
+	 */
+	host() {
+		let aMatch = /^[a-z][a-z0-9+.\-]*:\/\/([^\/?#]+)/i.exec(this.aUri[this.uIndex]);
+		return (aMatch !== null) ? aMatch[1].toLowerCase() : '';
+	}
+
 	/**
 	 * @private
 	 * @param {*} event 
@@ -260,24 +1277,116 @@ class CacheItem {
 		/**
 		 * 0 - Connection Error
 		 * 200 - OK
-		 * 400 - Resource Not Found
-		 * 500 - Internal Server Error
+		 * 401, 403 - Auth failure, see LoaderImpl.setAuthExpired
+		 * 404 - Resource Not Found, try next uri
+		 * 408, 429, 5xx - Retry by policy
 		 */
+		this.uStatus = status;
 		if (status === 200) {
-			this.onLoadAjax(event);
-		} else if ((status >= 400) && (status < 500)) {
+			let sIntegrity = this.integrity();
+			if ((sIntegrity !== null) && (this.ajaxRequest.response instanceof ArrayBuffer))
+				this.verify(event, sIntegrity);
+			else
+				this.onLoadVerified(event);
+			return;
+		}
+
+		if ((status === 401) || (status === 403)) {
+			this.sErrorKind = LoaderErrorKind.AUTH;
+			this.onAuthError();
+			return;
+		}
+
+		this.sErrorKind = (status === 0) ? LoaderErrorKind.NETWORK : LoaderErrorKind.HTTP;
+		if (this.retryPolicy().isRetryable(status)) {
+			this.uRetryAfter = LoaderRetryPolicy.parseRetryAfter(this.ajaxRequest.getResponseHeader('Retry-After'));
+			this.onLoadError(true);
+		} else if (this.uIndex + 1 < this.aUri.length) {
 			this.uIndex++;
-			if (this.uIndex < this.aUri.length) {
-				this.cancel();
-				this.onErrorAjax();
-				this.create();
+			this.cancel();
+			this.onErrorAjax();
+			this.create();
+		} else {
+			// Error reports last uri
+			this.onLoadError(false);
+			this.uIndex = 0;
+		}
+	}
+
+	/**
+	 * @protected
+	 * @param {*} vResponse JSON response, or bytes of it when downloaded for verification
+	 * @returns {*} Null if bytes are not valid JSON, exception is kept as cause
+	 */
+	parseJson(vResponse) {
+		if (!(vResponse instanceof ArrayBuffer))
+			return vResponse;
+
+		try {
+			return JSON.parse(new TextDecoder().decode(vResponse));
+		} catch (e) {
+			this.vCause = e;
+			return null;
+		}
+	}
+
+	/**
+	 * Bytes are not used until verified, mismatch is retried as truncated download
+	 * @private
+	 * @param {*} event
+	 * @param {string} sIntegrity
+	 */
+	verify(event, sIntegrity) {
+		let uStop = this.uStop;
+		let THIS = this;
+		verifyIntegrity(/** @type {ArrayBuffer} */ (this.ajaxRequest.response), sIntegrity).then(function(bValid) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			if (bValid) {
+				THIS.onLoadVerified(event);
 			} else {
-				this.uIndex = 0;
-				this.onLoadError(false);
+				THIS.sErrorKind = LoaderErrorKind.INTEGRITY;
+				THIS.onLoadError(true);
 			}
-		} else {
-			this.onLoadError(true);
+		}, function(oError) {
+			// Digest is not computable, retry would not help
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.sErrorKind = LoaderErrorKind.INTEGRITY;
+			THIS.vCause = oError;
+			THIS.onLoadError(false);
+		});
+	}
+
+	/**
+	 * Response is stored only after it is parsed, bytes are copied as decoding may detach them
+	 * @private
+	 * @param {*} event
+	 */
+	onLoadVerified(event) {
+		let oPersistent = this.persistent();
+		if (oPersistent !== null) {
+			let vData = this.ajaxRequest.response;
+			this.oUnstored = {
+				sKey: oPersistent.key(this.aUri[this.uIndex], this.version()),
+				vData: (vData instanceof ArrayBuffer) ? vData.slice(0) : vData,
+				sMime: this.ajaxRequest.getResponseHeader('Content-Type')
+			};
 		}
+
+		this.onLoadAjax(event);
+	}
+
+	/**
+	 * @private
+	 */
+	persist() {
+		let oPersistent = this.persistent();
+		if ((this.oUnstored !== null) && (oPersistent !== null))
+			oPersistent.store(this.oUnstored.sKey, this.oUnstored.vData, this.oUnstored.sMime);
+		this.oUnstored = null;
 	}
 
 	/**
@@ -287,27 +1396,178 @@ class CacheItem {
 	 */
 	onLoadAjax(event) {}
 
+	/**
+	 * Loads item from memory instead of network, for example from bundle
+	 * @protected
+	 * @param {Uint8Array} aData
+	 * @param {string | null} sMime
+	 */
+	loadBytes(aData, sMime) {
+		// Type is not able to load from memory
+		this.sErrorKind = LoaderErrorKind.UNSUPPORTED;
+		this.onLoadError(false);
+	}
+
 	/**
 	 * @protected
 	 */
 	onErrorAjax() {}
 
+	/**
+	 * Other uris would not accept credentials either
+	 * @protected
+	 */
+	onAuthError() {
+		this.onLoadError(false);
+	}
+
 	/**
 	 * @protected
 	 */
 	onLoadComplete() {
-        this.oLoader.oCount.uError -= this.uRetry;
+        this.unwatch();
+        this.sErrorKind = null;
+        this.vCause = null;
+        this.oError = null;
+
+        let uBytes = Math.max(this.uBytesLoaded, this.uBytesTotal);
+        if ((!this.bSized) && (!this.bEmpty)) {
+            this.oLoader.oCount.uUnsized--;
+            // Empty item would lower average size of unsized items
+            if (uBytes > 0) {
+                this.bSized = true;
+                this.oLoader.oCount.uSized++;
+            } else {
+                this.bEmpty = true;
+            }
+        }
+        this.progress(uBytes, uBytes);
+        this.persist();
+
         this.bReady = true;
+        this.bComplete = true;
         this.oLoader.evLoad(this);
-        if (this.fnCallback !== null) this.fnCallback(this);
+
+        let aCallbacks = this.aCallbacks;
+        this.aCallbacks = [];
+        for (let iIndex = 0; iIndex < aCallbacks.length; iIndex++) {
+            aCallbacks[iIndex](this);
+        }
+	}
+
+	/**
+	 * Adds another group and key for shared item
+	 * @param {string | null} sGroup
+	 * @param {string | null} sKey
+	 * @returns {boolean} false if item already has this group and key
+	 */
+	alias(sGroup, sKey) {
+		if (this.indexOfKey(sGroup, sKey) >= 0)
+			return false;
+
+		this.aKeys.push({ sGroup: sGroup, sKey: sKey });
+		return true;
+	}
+
+	/**
+	 * Removes group and key of shared item
+	 * @param {string | null} sGroup
+	 * @param {string | null} sKey
+	 * @returns {boolean} false if item has no such group and key
+	 */
+	unalias(sGroup, sKey) {
+		let iIndex = this.indexOfKey(sGroup, sKey);
+		if (iIndex < 0)
+			return false;
+
+		this.aKeys.splice(iIndex, 1);
+		return true;
+	}
+
+	/**
+	 * @param {string | null} sGroup
+	 * @param {string | null} sKey
+	 * @returns {number} -1 if item has no such group and key
+	 */
+	indexOfKey(sGroup, sKey) {
+		for (let iIndex = 0; iIndex < this.aKeys.length; iIndex++) {
+			if ((this.aKeys[iIndex].sGroup === sGroup) && (this.aKeys[iIndex].sKey === sKey))
+				return iIndex;
+		}
+
+		return -1;
+	}
+
+	/**
+	 * @param {string} sKey
+	 * @returns {boolean} true if any group still uses key
+	 */
+	hasKey(sKey) {
+		for (let iIndex = 0; iIndex < this.aKeys.length; iIndex++) {
+			if (this.aKeys[iIndex].sKey === sKey)
+				return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * @protected
+	 * @param {Function} fnCallback
+	 */
+	addCallback(fnCallback) {
+		this.aCallbacks.push(fnCallback);
+	}
+
+	/**
+	 * Registers loaded resource under every key
+	 * @protected
+	 */
+	publish() {
+		for (let iIndex = 0; iIndex < this.aKeys.length; iIndex++) {
+			let sKey = this.aKeys[iIndex].sKey;
+			if (sKey !== null)
+				this.publishKey(sKey);
+		}
+	}
+
+	/**
+	 * @protected
+	 */
+	unpublish() {
+		for (let iIndex = 0; iIndex < this.aKeys.length; iIndex++) {
+			let sKey = this.aKeys[iIndex].sKey;
+			if (sKey !== null)
+				this.unpublishKey(sKey);
+		}
 	}
 
+	/**
+	 * Registers loaded resource in Gallery or Mixer
+	 * @protected
+	 * @param {string} sKey
+	 */
+	publishKey(sKey) {}
+
+	/**
+	 * @protected
+	 * @param {string} sKey
+	 */
+	unpublishKey(sKey) {}
+
 	/**
 	 * @private
 	 * @param {boolean} bRetry 
 	 */
 	onLoadError(bRetry) {
-		this.oLoader.oCount.uError++;
+		if (this.sSource === LoaderSource.DISK) {
+			// Stored copy is broken or outdated, download it again
+			this.cancel();
+			this.bRestore = false;
+			this.download();
+			return;
+		}
+
 		this.oLoader.bStatus = true;
 
 		this.cancel();
@@ -315,11 +1575,20 @@ class CacheItem {
 		this.onErrorAjax();
 
 		this.uRetry++;
-		if ((bRetry) && ((this.iRepeat < 0) || (this.uRetry <= this.iRepeat))) {
-			this.uNext += 3000 + ((Math.random() * 2000) | 0);
-			if (this.uNext > 60000) this.uNext = 60000;
-			this.idRepeat = setTimeout(this.create.bind(this), this.uNext);
+		let oRetryPolicy = this.retryPolicy();
+		if ((bRetry) && (oRetryPolicy.canRetry(this.uRetry))) {
+			let uDelay = oRetryPolicy.delay(this.uRetry, this.uRetryAfter);
+			this.uRetryAfter = 0;
+			this.idRepeat = setTimeout(this.create.bind(this), uDelay);
+		} else if ((this.sPolicy === LoaderFailurePolicy.FALLBACK) && (this.sFallback !== null)) {
+			let sFallback = new URI(this.oLoader.sBasePath, this.sFallback).build();
+			this.sFallback = null;
+			this.aUri = this.expandUri([ sFallback ]);
+			this.uIndex = 0;
+			this.uRetry = 0;
+			this.create();
 		} else {
+			// Only final failure of required item counts as error and blocks queue
 			this.oLoader.evError(this);
 		}
 	}
@@ -336,6 +1605,7 @@ class CacheItem {
 	 * @param {*} event
 	 */
 	evError(event) {
+		this.sErrorKind = LoaderErrorKind.NETWORK;
 		this.onLoadError(true);
 	}
 }
@@ -358,7 +1628,7 @@ class HTMLImageElementEx {
     }
 }
 
-class CacheImage extends CacheItem {
+export class CacheImage extends CacheItem {
     /**
      * @param {LoaderImpl} oLoader
      * @param {string | null} sGroup 
@@ -370,8 +1640,62 @@ class CacheImage extends CacheItem {
         super(oLoader, sGroup, sKey, sUri, LoaderSupportedType.IMAGE, fnCallback);
 
         /** @private @type {HTMLImageElementEx | null} */ this.domImage = null;
+        /** Object url of downloaded bytes, revoked on cancel @private @type {string | null} */ this.sObjectUrl = null;
+    }
+
+	/**
+	 * Expands .img virtual extension once image formats are detected
+	 * @override
+	 * @protected
+	 */
+    create() {
+		let bVirtual = this.aUri.some(function(sPath) {
+			return /\.img$/i.test(sPath);
+		});
+		if (!bVirtual) {
+			super.create();
+			return;
+		}
+
+		let uStop = this.uStop;
+		let THIS = this;
+		probeImageFormats(function() {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.aUri = THIS.expandImages(THIS.aUri);
+			THIS.create();
+		});
     }
 
+	/**
+	 * @private
+	 * @param {Array<string>} aUri
+	 * @returns {Array<string>} Every decodable format in preference order, first preferred one if none
+	 */
+	expandImages(aUri) {
+		let aFormats = (this.aFormats !== null) ? this.aFormats : this.oLoader.aImageFormats;
+
+		/** @type {Array<string>} */
+		let aResult = [];
+		for (let iIndex = 0; iIndex < aUri.length; iIndex++) {
+			let sPath = aUri[iIndex];
+			if (!/\.img$/i.test(sPath)) {
+				aResult.push(sPath);
+				continue;
+			}
+
+			let uCount = aResult.length;
+			for (let iFormat = 0; iFormat < aFormats.length; iFormat++) {
+				if (canDecodeImage(aFormats[iFormat]))
+					aResult.push(sPath.replace(/\.img$/i, aFormats[iFormat]));
+			}
+			if ((aResult.length === uCount) && (aFormats.length > 0))
+				aResult.push(sPath.replace(/\.img$/i, aFormats[0]));
+		}
+		return aResult;
+	}
+
 	/**
 	 * @private
 	 */
@@ -400,9 +1724,11 @@ class CacheImage extends CacheItem {
     }
 
 	/**
+	 * Decodes already downloaded bytes, falls back to uri when object urls are not supported
 	 * @private
+	 * @param {Blob | null} oBlob
 	 */
-    createImage() {
+    createImage(oBlob) {
         if (this.domImage !== null)
             return;
 
@@ -413,7 +1739,39 @@ class CacheImage extends CacheItem {
 
 		Gallery.register(this.domImage);
 
-        this.domImage.src = this.aUri[this.uIndex];
+        if ((oBlob !== null) && (typeof URL !== 'undefined') && (URL.createObjectURL !== undefined))
+            this.sObjectUrl = URL.createObjectURL(oBlob);
+
+        this.watch();
+        this.domImage.src = (this.sObjectUrl !== null) ? this.sObjectUrl : this.imageUri();
+    }
+
+	/**
+	 * @protected
+	 * @returns {string} Uri of image file
+	 */
+    imageUri() {
+        return this.aUri[this.uIndex];
+    }
+
+	/**
+	 * @override
+	 * @protected
+	 * @returns {string}
+	 */
+    requestUri() {
+        return this.imageUri();
+    }
+
+	/**
+	 * @private
+	 */
+    revokeImage() {
+        if (this.sObjectUrl === null)
+            return;
+
+        URL.revokeObjectURL(this.sObjectUrl);
+        this.sObjectUrl = null;
     }
 
 	/**
@@ -426,15 +1784,20 @@ class CacheImage extends CacheItem {
 	        Gallery.unregister(this.domImage);
         	this.unbindImage();
 
+			// Abort pending download
+			if (!this.bReady)
+				this.domImage.removeAttribute('src');
+
 			if (this.bReady) {
 				this.bReady = false;
-				if (this.sKey !== null)
-					Gallery.remove(this.sKey);
+				this.unpublish();
 				this.oLoader.uncache(this);
 			}
 
 			this.domImage = null;
 		}
+
+		this.revokeImage();
     }
 
 	/**
@@ -443,8 +1806,19 @@ class CacheImage extends CacheItem {
 	 */
 	onLoadAjax(event) {
 		this.unbindAjax();
+		let oBlob = blobOf(this.ajaxRequest.response, this.ajaxRequest.getResponseHeader('Content-Type'));
 		this.ajaxRequest = null;
-		this.createImage();
+		this.createImage(oBlob);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {Uint8Array} aData
+	 * @param {string | null} sMime
+	 */
+	loadBytes(aData, sMime) {
+		this.createImage(blobOf(aData, sMime));
 	}
 
 	/**
@@ -452,22 +1826,283 @@ class CacheImage extends CacheItem {
 	 */
     evLoad(event) {
         this.unbindImage();
-		Gallery.createTextureImage(this.sKey, this.domImage);
+		this.publish();
 		this.oLoader.cache(this);
 		this.onLoadComplete();
     }
-}
 
-/**
- * @extends {HTMLAudioElement}
- */
-class HTMLAudioElementEx {
-    constructor() {
-        /** @type {Function} */
-        this.evLoad;
-        /** @type {Function} */
-        this.evError;
-        /** @type {Function} */
+	/**
+	 * Image of downloaded bytes fails to decode, downloading them again would not help
+	 * @override
+	 * @protected
+	 * @param {*} event
+	 */
+	evError(event) {
+		if (this.sObjectUrl === null) {
+			super.evError(event);
+			return;
+		}
+
+		this.sErrorKind = LoaderErrorKind.DECODE;
+		this.onLoadError(false);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {string} sKey
+	 */
+	publishKey(sKey) {
+		Gallery.createTextureImage(sKey, this.domImage);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {string} sKey
+	 */
+	unpublishKey(sKey) {
+		Gallery.remove(sKey);
+	}
+}
+
+/**
+ * TexturePacker atlas (JSON hash or JSON array), loads description then image it references.
+ * Image is registered in Gallery under item key, every frame under its own name as canvas
+ * of source size, rotation and trim are applied, pivot is kept in aFrames
+ */
+export class CacheAtlas extends CacheImage {
+    /**
+     * @param {LoaderImpl} oLoader
+     * @param {string | null} sGroup 
+     * @param {string} sKey 
+     * @param {string} sUri 
+     * @param {Function | null} fnCallback
+     */
+    constructor(oLoader, sGroup, sKey, sUri, fnCallback) {
+        super(oLoader, sGroup, sKey, sUri, fnCallback);
+        this.sType = LoaderSupportedType.ATLAS;
+
+        /** @type {Array<LoaderAtlasFrame>} */ this.aFrames = [];
+        /** Image uri, null while description is loading @private @type {string | null} */ this.sImageUri = null;
+        /** Key frames are registered for @private @type {string | null} */ this.sFramesKey = null;
+    }
+
+	/**
+	 * Description and image are separate downloads
+	 * @override
+	 * @protected
+	 * @returns {boolean}
+	 */
+	persistable() {
+		return false;
+	}
+
+	/**
+	 * Integrity is of description, image is not verified
+	 * @override
+	 * @protected
+	 * @returns {string | null}
+	 */
+	integrity() {
+		return (this.sImageUri !== null) ? null : super.integrity();
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 */
+	startAjax() {
+		let bImage = (this.sImageUri !== null);
+		this.ajaxRequest.open('GET', bImage ? this.sImageUri : this.aUri[this.uIndex], true);
+		this.ajaxRequest.responseType = (bImage || (this.integrity() !== null)) ? LoaderResponseType.BLOB : LoaderResponseType.JSON;
+		this.ajaxRequest.send(null);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @returns {string}
+	 */
+    imageUri() {
+        return (this.sImageUri !== null) ? this.sImageUri : super.imageUri();
+    }
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {*} event
+	 */
+	onLoadAjax(event) {
+		if (this.sImageUri !== null) {
+			super.onLoadAjax(event);
+			return;
+		}
+
+		this.unbindAjax();
+		let oAtlas = this.parseJson(this.ajaxRequest.response);
+		this.ajaxRequest = null;
+
+		if ((oAtlas === null) || (typeof oAtlas !== 'object') || (oAtlas['frames'] === undefined) ||
+			(typeof oAtlas['meta'] !== 'object') || (oAtlas['meta'] === null) || (typeof oAtlas['meta']['image'] !== 'string')) {
+			this.sErrorKind = LoaderErrorKind.PARSE;
+			this.onLoadError(false);
+			return;
+		}
+
+		try {
+			this.aFrames = CacheAtlas.parseFrames(oAtlas['frames']);
+		} catch (e) {
+			this.sErrorKind = LoaderErrorKind.PARSE;
+			this.vCause = e;
+			this.onLoadError(false);
+			return;
+		}
+
+		this.sImageUri = this.resolveReference(/** @type {string} */ (oAtlas['meta']['image']));
+
+		if (this.createAjax())
+			this.startAjax();
+	}
+
+	/**
+	 * Image referenced by atlas is outside of memory, not supported
+	 * @override
+	 * @protected
+	 * @param {Uint8Array} aData
+	 * @param {string | null} sMime
+	 */
+	loadBytes(aData, sMime) {
+		this.sErrorKind = LoaderErrorKind.UNSUPPORTED;
+		this.onLoadError(false);
+	}
+
+	/**
+	 * @private
+	 * @param {*} vFrames JSON hash or JSON array frames
+	 * @returns {Array<LoaderAtlasFrame>}
+	 * @throws {Error} If frames or frame rect are missing
+	 */
+	static parseFrames(vFrames) {
+		if ((typeof vFrames !== 'object') || (vFrames === null))
+			throw new Error('Atlas frames are not an object or array');
+
+		/** @type {Array<LoaderAtlasFrame>} */
+		let aFrames = [];
+
+		let aNames = Array.isArray(vFrames) ? null : Object.keys(vFrames);
+		let uCount = (aNames === null) ? vFrames.length : aNames.length;
+		for (let iIndex = 0; iIndex < uCount; iIndex++) {
+			let oFrame = (aNames === null) ? vFrames[iIndex] : vFrames[aNames[iIndex]];
+			let oRect = ((typeof oFrame === 'object') && (oFrame !== null)) ? oFrame['frame'] : null;
+			if ((typeof oRect !== 'object') || (oRect === null) || (typeof oRect['x'] !== 'number') ||
+				(typeof oRect['y'] !== 'number') || (typeof oRect['w'] !== 'number') || (typeof oRect['h'] !== 'number'))
+				throw new Error('Atlas frame ' + ((aNames === null) ? iIndex : aNames[iIndex]) + ' has no frame rect');
+
+			let oSprite = oFrame['spriteSourceSize'] || { 'x': 0, 'y': 0 };
+			let oSource = oFrame['sourceSize'] || { 'w': oRect['w'], 'h': oRect['h'] };
+			let oPivot = oFrame['pivot'] || { 'x': 0.5, 'y': 0.5 };
+
+			aFrames.push({
+				sName: (aNames === null) ? /** @type {string} */ (oFrame['filename']) : aNames[iIndex],
+				iX: oRect['x'],
+				iY: oRect['y'],
+				uWidth: oRect['w'],
+				uHeight: oRect['h'],
+				bRotated: oFrame['rotated'] === true,
+				bTrimmed: oFrame['trimmed'] === true,
+				iOffsetX: oSprite['x'],
+				iOffsetY: oSprite['y'],
+				uSourceWidth: oSource['w'],
+				uSourceHeight: oSource['h'],
+				fPivotX: oPivot['x'],
+				fPivotY: oPivot['y']
+			});
+		}
+
+		return aFrames;
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 */
+    cancel() {
+		super.cancel();
+
+		// Next attempt starts with description again
+		this.sImageUri = null;
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {string} sKey
+	 */
+	publishKey(sKey) {
+		super.publishKey(sKey);
+
+		// Frame names are global, registered once for first key
+		if (this.sFramesKey !== null)
+			return;
+
+		this.sFramesKey = sKey;
+		for (let iIndex = 0; iIndex < this.aFrames.length; iIndex++) {
+			let oFrame = this.aFrames[iIndex];
+			Gallery.createTextureImage(oFrame.sName, this.frameImage(oFrame));
+		}
+	}
+
+	/**
+	 * Cuts frame out of atlas image, rotated frame is turned back and trimmed borders are restored
+	 * @private
+	 * @param {LoaderAtlasFrame} oFrame
+	 * @returns {HTMLImageElement} Canvas, Gallery only draws texture element
+	 */
+	frameImage(oFrame) {
+		let domCanvas = /** @type {HTMLCanvasElement} */ (window.document.createElement('canvas'));
+		domCanvas.width = oFrame.uSourceWidth;
+		domCanvas.height = oFrame.uSourceHeight;
+
+		let oContext = /** @type {CanvasRenderingContext2D} */ (domCanvas.getContext('2d'));
+		if (oFrame.bRotated) {
+			// Region of rotated frame is uHeight wide and uWidth high
+			oContext.translate(oFrame.iOffsetX, oFrame.iOffsetY + oFrame.uHeight);
+			oContext.rotate(-Math.PI / 2);
+			oContext.drawImage(this.domImage, oFrame.iX, oFrame.iY, oFrame.uHeight, oFrame.uWidth, 0, 0, oFrame.uHeight, oFrame.uWidth);
+		} else {
+			oContext.drawImage(this.domImage, oFrame.iX, oFrame.iY, oFrame.uWidth, oFrame.uHeight, oFrame.iOffsetX, oFrame.iOffsetY, oFrame.uWidth, oFrame.uHeight);
+		}
+
+		return /** @type {HTMLImageElement} */ (/** @type {*} */ (domCanvas));
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 */
+	unpublish() {
+		if (this.sFramesKey !== null) {
+			for (let iIndex = 0; iIndex < this.aFrames.length; iIndex++) {
+				Gallery.remove(this.aFrames[iIndex].sName);
+			}
+			this.sFramesKey = null;
+		}
+
+		super.unpublish();
+	}
+}
+
+/**
+ * @extends {HTMLAudioElement}
+ */
+class HTMLAudioElementEx {
+    constructor() {
+        /** @type {Function} */
+        this.evLoad;
+        /** @type {Function} */
+        this.evError;
+        /** @type {Function} */
         this.evPause;
         /** @type {Function} */
         this.evDurationChange;
@@ -475,6 +2110,8 @@ class HTMLAudioElementEx {
         this.evEnded;
         /** @type {Function} */
         this.evCanPlayThrough;
+        /** @type {Function} */
+        this.evProgress;
         /** @type {Promise} */
         this.oPromise;
         /** @type {number} */
@@ -588,7 +2225,7 @@ class HTMLAudioElementEx {
     }
 }
 
-class CacheSound extends CacheItem {
+export class CacheSound extends CacheItem {
     /**
      * @param {LoaderImpl} oLoader
      * @param {string | null} sGroup 
@@ -603,6 +2240,9 @@ class CacheSound extends CacheItem {
         /** @private */ this.uSource = 0;
         /** @private */ this.uError = 0;
 
+        /** Decoded sound, set if loader has audio context @type {AudioBuffer | null} */ this.oBuffer = null;
+        /** Object url of downloaded bytes, revoked on cancel @private @type {string | null} */ this.sObjectUrl = null;
+
         /** @private */ this.bPlayAgain = false;
         /** @private @type {Function} */ this.evRequestPlayAgain = this.onRequestPlayAgain.bind(this);
         /** @private @type {Function} */ this.evRequestPlayFailed = this.onRequestPlayFailed.bind(this);
@@ -618,8 +2258,10 @@ class CacheSound extends CacheItem {
         this.domAudio.evDurationChange = this.evDurationChange.bind(this);
         this.domAudio.evEnded = this.evEnded.bind(this);
         this.domAudio.evCanPlayThrough = this.evCanPlayThrough.bind(this);
+        this.domAudio.evProgress = this.touch.bind(this);
 
         bindEvent(this.domAudio, 'error', this.domAudio.evError);
+        bindEvent(this.domAudio, 'progress', this.domAudio.evProgress);
         bindEvent(this.domAudio, 'pause', this.domAudio.evPause);
         bindEvent(this.domAudio, 'durationchange', this.domAudio.evDurationChange);
         bindEvent(this.domAudio, 'ended', this.domAudio.evEnded);
@@ -652,6 +2294,7 @@ class CacheSound extends CacheItem {
         unbindEvent(this.domAudio, 'durationchange', this.domAudio.evDurationChange);
         unbindEvent(this.domAudio, 'ended', this.domAudio.evEnded);
         unbindEvent(this.domAudio, 'canplaythrough', this.domAudio.evCanPlayThrough);
+        unbindEvent(this.domAudio, 'progress', this.domAudio.evProgress);
 
         delete this.domAudio.evLoad;
         delete this.domAudio.evError;
@@ -659,28 +2302,70 @@ class CacheSound extends CacheItem {
         delete this.domAudio.evDurationChange;
         delete this.domAudio.evEnded;
         delete this.domAudio.evCanPlayThrough;
+        delete this.domAudio.evProgress;
     }
 
 	/**
 	 * @override
 	 * @protected
 	 */
-	startAjax() {
-		let sPath = this.aUri[this.uIndex];
-		let isSND = /\.snd$/i.test(sPath);
-		if (isSND) {
-			sPath = sPath.replace(/\.snd$/i, ".mp3");
+	expandUri(aUri) {
+		/** @type {Array<string>} */
+		let aResult = [];
+		for (let iIndex = 0; iIndex < aUri.length; iIndex++) {
+			let sPath = aUri[iIndex];
+			if (!/\.snd$/i.test(sPath)) {
+				aResult.push(sPath);
+				continue;
+			}
+
+			// Only formats browser can play, first preferred one if none
+			let aFormats = (this.aFormats !== null) ? this.aFormats : this.oLoader.aSoundFormats;
+			let uCount = aResult.length;
+			for (let iFormat = 0; iFormat < aFormats.length; iFormat++) {
+				if (canPlaySound(aFormats[iFormat]))
+					aResult.push(sPath.replace(/\.snd$/i, aFormats[iFormat]));
+			}
+			if ((aResult.length === uCount) && (aFormats.length > 0))
+				aResult.push(sPath.replace(/\.snd$/i, aFormats[0]));
 		}
+		return aResult;
+	}
 
-		this.ajaxRequest.open('GET', sPath, true);
+	/**
+	 * @override
+	 * @protected
+	 */
+	startAjax() {
+		this.ajaxRequest.open('GET', this.soundUri(), true);
 		this.ajaxRequest.responseType = LoaderResponseType.BLOB;
 		this.ajaxRequest.send(null);
 	}
 
 	/**
+	 * @protected
+	 * @returns {string} Uri of sound file
+	 */
+    soundUri() {
+        return this.aUri[this.uIndex];
+    }
+
+	/**
+	 * @override
+	 * @protected
+	 * @returns {string}
+	 */
+    requestUri() {
+        return this.soundUri();
+    }
+
+	/**
+	 * Plays already downloaded bytes, falls back to uri when object urls are not supported
 	 * @private
+	 * @param {Blob | null} oBlob
+	 * @param {boolean} bDecoded Bytes are already decoded, element is not played to preload them
 	 */
-    createSound() {
+    createSound(oBlob, bDecoded) {
         if (this.domAudio !== null)
             return;
 
@@ -690,33 +2375,32 @@ class CacheSound extends CacheItem {
         this.bindSound();
 
         this.domAudio.autoplay = false;
-        this.domAudio.volume = VOLUME_MIN;
+        this.domAudio.volume = bDecoded ? 1 : VOLUME_MIN;
         this.domAudio.preload = "auto";
 
-		let sPath = this.aUri[this.uIndex];
-        let isSND = /\.snd$/i.test(sPath);
-        let isOGG = /\.ogg$/i.test(sPath);
-        let isMP3 = /\.mp3$/i.test(sPath);
-
-        if (isMP3 || isSND) {
-            let domSource = window.document.createElement('source');
-            bindEvent( /** @type {HTMLElement} */ (domSource), 'error', this.domAudio.evError);
-            this.uSource++;
-            domSource.src = (isMP3 ? sPath : sPath.replace(/\.snd$/i, ".mp3"));
-            domSource.type = 'audio/mpeg';
-            this.domAudio.appendChild(domSource);
-        }
-        if (isOGG || isSND) {
-            let domSource = window.document.createElement('source');
-            bindEvent( /** @type {HTMLElement} */ (domSource), 'error', this.domAudio.evError);
-            this.uSource++;
-            domSource.src = (isOGG ? sPath : sPath.replace(/\.snd$/i, ".ogg"));
-            domSource.type = "audio/ogg";
-            this.domAudio.appendChild(domSource);
-        }
+		let sPath = this.soundUri();
+        let sEXT = extensionOf(sPath);
+
+        if ((oBlob !== null) && (typeof URL !== 'undefined') && (URL.createObjectURL !== undefined))
+            this.sObjectUrl = URL.createObjectURL(oBlob);
+
+        let domSource = window.document.createElement('source');
+        bindEvent( /** @type {HTMLElement} */ (domSource), 'error', this.domAudio.evError);
+        this.uSource++;
+        domSource.src = (this.sObjectUrl !== null) ? this.sObjectUrl : sPath;
+        if (soundMimeTypes.hasOwnProperty(sEXT))
+            domSource.type = soundMimeTypes[sEXT];
+        this.domAudio.appendChild(domSource);
 
         Mixer.register(this.domAudio);
 
+        if (bDecoded) {
+            this.bReady = true;
+            this.evLoad(null);
+            return;
+        }
+
+        this.watch();
         this.requestPlay();
     }
 
@@ -733,6 +2417,7 @@ class CacheSound extends CacheItem {
 	 */
     onRequestPlayAgain() {
         this.bPlayAgain = false;
+        this.watch();
         this.oLoader.uErrorUserInteractionCount--;
         if (this.oLoader.uErrorUserInteractionCount === 0) {
             this.oLoader.fErrorUserInteractionTick = getTickCounter();
@@ -747,6 +2432,8 @@ class CacheSound extends CacheItem {
         if (this.domAudio === null)
             return;
 
+        // Waiting for user is not a stall
+        this.unwatch();
         this.bPlayAgain = true;
         MessagePool.registerOnce(evUserInteraction, this.evRequestPlayAgain);
         if (this.oLoader.uErrorUserInteractionCount === 0) {
@@ -762,6 +2449,7 @@ class CacheSound extends CacheItem {
 	 */
     cancel() {
 		this.stopAjax();
+		this.oBuffer = null;
 
         if (this.domAudio !== null) {
 			this.uSource = 0;
@@ -772,15 +2460,26 @@ class CacheSound extends CacheItem {
 			Mixer.unregister(this.domAudio);
 			this.unbindSound();
 
+			// Abort pending download
+			if (!this.bReady) {
+				while (this.domAudio.firstChild !== null)
+					this.domAudio.removeChild(this.domAudio.firstChild);
+				this.domAudio.load();
+			}
+
 			if (this.bReady) {
 				this.bReady = false;
-				if (this.sKey !== null)
-					Mixer.remove(this.sKey);
+				this.unpublish();
 				this.oLoader.uncache(this);
 			}
 
 			this.domAudio = null;
 		}
+
+		if (this.sObjectUrl !== null) {
+			URL.revokeObjectURL(this.sObjectUrl);
+			this.sObjectUrl = null;
+		}
     }
 
 	/**
@@ -789,8 +2488,64 @@ class CacheSound extends CacheItem {
 	 */
 	onLoadAjax(event) {
 		this.unbindAjax();
+		let oResponse = /** @type {ArrayBuffer | null} */ (this.ajaxRequest.response);
+		let sMime = this.ajaxRequest.getResponseHeader('Content-Type');
 		this.ajaxRequest = null;
-		this.createSound();
+		this.loadSound(oResponse, sMime);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {Uint8Array} aData
+	 * @param {string | null} sMime
+	 */
+	loadBytes(aData, sMime) {
+		this.loadSound(bufferOf(aData), sMime);
+	}
+
+	/**
+	 * @private
+	 * @param {ArrayBuffer | null} oResponse
+	 * @param {string | null} sMime
+	 */
+	loadSound(oResponse, sMime) {
+		// Blob is copied before decoding detaches response
+		let oBlob = blobOf(oResponse, sMime);
+		let oAudioContext = this.oLoader.oAudioContext;
+		if ((oAudioContext !== null) && (oResponse !== null))
+			this.decodeSound(oAudioContext, oResponse, oBlob);
+		else
+			this.createSound(oBlob, false);
+	}
+
+	/**
+	 * Decodes downloaded bytes without playing them, so loading does not need playback permission
+	 * @private
+	 * @param {AudioContext} oAudioContext
+	 * @param {ArrayBuffer} oResponse
+	 * @param {Blob | null} oBlob
+	 */
+	decodeSound(oAudioContext, oResponse, oBlob) {
+		let uStop = this.uStop;
+		let THIS = this;
+
+		this.bReady = false;
+		this.touch();
+		oAudioContext.decodeAudioData(oResponse).then(function(oBuffer) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.oBuffer = oBuffer;
+			THIS.createSound(oBlob, true);
+		}, function(oError) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.sErrorKind = LoaderErrorKind.DECODE;
+			THIS.vCause = oError;
+			THIS.onLoadError(false);
+		});
 	}
 
 	/**
@@ -799,11 +2554,45 @@ class CacheSound extends CacheItem {
 	 */
     evLoad(event) {
         this.unbindSound();
-		Mixer.createSound(this.sKey, this.domAudio);
+		this.publish();
 		this.oLoader.cache(this);
 		this.onLoadComplete();
     }
 
+	/**
+	 * Audio element fails to decode downloaded bytes
+	 * @override
+	 * @protected
+	 * @param {*} event
+	 */
+	evError(event) {
+		if (this.sObjectUrl === null) {
+			super.evError(event);
+			return;
+		}
+
+		this.sErrorKind = LoaderErrorKind.DECODE;
+		this.onLoadError(false);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {string} sKey
+	 */
+	publishKey(sKey) {
+		Mixer.createSound(sKey, this.domAudio);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {string} sKey
+	 */
+	unpublishKey(sKey) {
+		Mixer.remove(sKey);
+	}
+
     /**
 	 * @private
 	 * @param {*} event
@@ -872,47 +2661,408 @@ class CacheSound extends CacheItem {
     }
 }
 
-export class CacheData extends CacheItem {
+/**
+ * Audio sprite, loads marker map then sound it references.
+ * Map is {"audio": "file.snd", "markers": [{"name", "start", "duration", "loop"}]},
+ * markers may also be a hash by name. Sound is registered in Mixer under item key,
+ * every marker under its own name as audio element playing media fragment of same bytes
+ */
+export class CacheAudioSprite extends CacheSound {
     /**
      * @param {LoaderImpl} oLoader
      * @param {string | null} sGroup 
-     * @param {string | null} sKey 
-     * @param {string} sUri
-     * @param {string} sExtension
+     * @param {string} sKey 
+     * @param {string} sUri 
      * @param {Function | null} fnCallback
      */
-    constructor(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
-        super(oLoader, sGroup, sKey, sUri, typeOf(sExtension), fnCallback);
-
-        this.sResponseType = responseTypeOf(sExtension);
-        /** @type {*} */ this.oData = null;
+    constructor(oLoader, sGroup, sKey, sUri, fnCallback) {
+        super(oLoader, sGroup, sKey, sUri, fnCallback);
+        this.sType = LoaderSupportedType.AUDIOSPRITE;
 
-        /** @private @type {Array<*>} */ this.aQuery = [];
-        /** @private @type {Array<*>} */ this.aSending = [];
+        /** @type {Array<LoaderSoundMarker>} */ this.aMarkers = [];
+        /** Sound uri, null while marker map is loading @private @type {string | null} */ this.sSoundUri = null;
+        /** Key markers are registered for @private @type {string | null} */ this.sMarkersKey = null;
+        /** Audio element of every marker @private @type {Array<HTMLAudioElement>} */ this.aMarkerAudio = [];
     }
 
-    /**
-     * @param {*} oMessage 
-     * @returns {CacheData}
-     */
-    message(oMessage) {
-        this.aQuery.push(oMessage);
-        return this;
-    }
+	/**
+	 * Description and sound are separate downloads
+	 * @override
+	 * @protected
+	 * @returns {boolean}
+	 */
+	persistable() {
+		return false;
+	}
 
 	/**
+	 * Integrity is of marker map, sound is not verified
 	 * @override
 	 * @protected
+	 * @returns {string | null}
 	 */
-    startAjax() {
-		let sPath = this.aUri[this.uIndex];
+	integrity() {
+		return (this.sSoundUri !== null) ? null : super.integrity();
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 */
+	startAjax() {
+		let bSound = (this.sSoundUri !== null);
+		this.ajaxRequest.open('GET', bSound ? this.sSoundUri : this.aUri[this.uIndex], true);
+		this.ajaxRequest.responseType = (bSound || (this.integrity() !== null)) ? LoaderResponseType.BLOB : LoaderResponseType.JSON;
+		this.ajaxRequest.send(null);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @returns {string}
+	 */
+    soundUri() {
+        return (this.sSoundUri !== null) ? this.sSoundUri : super.soundUri();
+    }
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {*} event
+	 */
+	onLoadAjax(event) {
+		if (this.sSoundUri !== null) {
+			super.onLoadAjax(event);
+			return;
+		}
+
+		this.unbindAjax();
+		let oSprite = this.parseJson(this.ajaxRequest.response);
+		this.ajaxRequest = null;
+
+		if ((oSprite === null) || (typeof oSprite !== 'object') || (typeof oSprite['audio'] !== 'string') ||
+			(typeof oSprite['markers'] !== 'object') || (oSprite['markers'] === null)) {
+			this.sErrorKind = LoaderErrorKind.PARSE;
+			this.onLoadError(false);
+			return;
+		}
+
+		try {
+			this.aMarkers = CacheAudioSprite.parseMarkers(oSprite['markers']);
+		} catch (e) {
+			this.sErrorKind = LoaderErrorKind.PARSE;
+			this.vCause = e;
+			this.onLoadError(false);
+			return;
+		}
+
+		// .snd picks first playable format
+		this.sSoundUri = this.resolveReference(/** @type {string} */ (oSprite['audio']));
+
+		if (this.createAjax())
+			this.startAjax();
+	}
+
+	/**
+	 * Sound referenced by marker map is outside of memory, not supported
+	 * @override
+	 * @protected
+	 * @param {Uint8Array} aData
+	 * @param {string | null} sMime
+	 */
+	loadBytes(aData, sMime) {
+		this.sErrorKind = LoaderErrorKind.UNSUPPORTED;
+		this.onLoadError(false);
+	}
+
+	/**
+	 * @private
+	 * @param {!Object} vMarkers Array of markers or hash of markers by name
+	 * @returns {Array<LoaderSoundMarker>}
+	 * @throws {Error} If marker is not an object
+	 */
+	static parseMarkers(vMarkers) {
+		/** @type {Array<LoaderSoundMarker>} */
+		let aMarkers = [];
+
+		let aNames = Array.isArray(vMarkers) ? null : Object.keys(vMarkers);
+		let uCount = (aNames === null) ? vMarkers.length : aNames.length;
+		for (let iIndex = 0; iIndex < uCount; iIndex++) {
+			let oMarker = (aNames === null) ? vMarkers[iIndex] : vMarkers[aNames[iIndex]];
+			if ((typeof oMarker !== 'object') || (oMarker === null))
+				throw new Error('Audio sprite marker ' + ((aNames === null) ? iIndex : aNames[iIndex]) + ' is not an object');
+
+			aMarkers.push({
+				sName: (aNames === null) ? /** @type {string} */ (oMarker['name']) : aNames[iIndex],
+				fStart: oMarker['start'] || 0,
+				fDuration: oMarker['duration'] || 0,
+				bLoop: oMarker['loop'] === true
+			});
+		}
+
+		return aMarkers;
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 */
+    cancel() {
+		super.cancel();
+
+		// Next attempt starts with marker map again
+		this.sSoundUri = null;
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {string} sKey
+	 */
+	publishKey(sKey) {
+		super.publishKey(sKey);
+
+		// Marker names are global, registered once for first key
+		if (this.sMarkersKey !== null)
+			return;
+
+		this.sMarkersKey = sKey;
+		for (let iIndex = 0; iIndex < this.aMarkers.length; iIndex++) {
+			let oMarker = this.aMarkers[iIndex];
+			let domMarker = this.markerAudio(oMarker);
+			this.aMarkerAudio.push(domMarker);
+			Mixer.register(domMarker);
+			Mixer.createSound(oMarker.sName, domMarker);
+		}
+	}
+
+	/**
+	 * Object url of downloaded sound is shared, falls back to sound uri when object urls are not supported
+	 * @private
+	 * @param {LoaderSoundMarker} oMarker
+	 * @returns {HTMLAudioElement} Element playing range of marker only
+	 */
+	markerAudio(oMarker) {
+		let sRange = '#t=' + oMarker.fStart;
+		if (oMarker.fDuration > 0)
+			sRange += ',' + (oMarker.fStart + oMarker.fDuration);
+
+		let domMarker = /** @type {HTMLAudioElement} */ (window.document.createElement('audio'));
+		domMarker.autoplay = false;
+		domMarker.preload = "auto";
+		domMarker.loop = oMarker.bLoop;
+		domMarker.src = ((this.sObjectUrl !== null) ? this.sObjectUrl : this.soundUri()) + sRange;
+		return domMarker;
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 */
+	unpublish() {
+		if (this.sMarkersKey !== null) {
+			for (let iIndex = 0; iIndex < this.aMarkers.length; iIndex++) {
+				Mixer.remove(this.aMarkers[iIndex].sName);
+			}
+			for (let iIndex = 0; iIndex < this.aMarkerAudio.length; iIndex++) {
+				Mixer.unregister(this.aMarkerAudio[iIndex]);
+			}
+			this.aMarkerAudio = [];
+			this.sMarkersKey = null;
+		}
+
+		super.unpublish();
+	}
+}
+
+export class CacheFont extends CacheItem {
+    /**
+     * @param {LoaderImpl} oLoader
+     * @param {string | null} sGroup 
+     * @param {string | null} sKey 
+     * @param {string} sUri 
+     * @param {Function | null} fnCallback
+     */
+    constructor(oLoader, sGroup, sKey, sUri, fnCallback) {
+        super(oLoader, sGroup, sKey, sUri, LoaderSupportedType.FONT, fnCallback);
+
+        /** Family to use in canvas font @type {string} */ this.sFamily = (sKey !== null) ? sKey : sUri;
+        /** @private @type {Object<string, string>} */ this.oDescriptors = {};
+        /** @type {FontFace | null} */ this.oFontFace = null;
+    }
+
+	/**
+	 * @override
+	 * @param {LoaderEntry} oEntry
+	 * @returns {CacheItem}
+	 */
+	configure(oEntry) {
+		if (oEntry.sFamily !== null)
+			this.sFamily = oEntry.sFamily;
+		if (oEntry.oDescriptors !== null)
+			this.oDescriptors = oEntry.oDescriptors;
+		return super.configure(oEntry);
+	}
+
+	/**
+	 * @protected
+	 * @param {*} event
+	 */
+	onLoadAjax(event) {
+		this.unbindAjax();
+		let oResponse = /** @type {ArrayBuffer} */ (this.ajaxRequest.response);
+		this.ajaxRequest = null;
+		this.loadFont(oResponse);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {Uint8Array} aData
+	 * @param {string | null} sMime
+	 */
+	loadBytes(aData, sMime) {
+		this.loadFont(bufferOf(aData));
+	}
+
+	/**
+	 * @private
+	 * @param {ArrayBuffer} oResponse
+	 */
+	loadFont(oResponse) {
+		if (typeof FontFace === 'undefined') {
+			this.sErrorKind = LoaderErrorKind.UNSUPPORTED;
+			this.onLoadError(false);
+			return;
+		}
+
+		let uStop = this.uStop;
+		let THIS = this;
+		let oFontFace = new FontFace(this.sFamily, oResponse, this.oDescriptors);
+
+		this.touch();
+		oFontFace.load().then(function() {
+			if (THIS.uStop !== uStop)
+				return;
+
+			// Font is usable in canvas only when it is part of document fonts
+			window.document.fonts.add(oFontFace);
+			THIS.oFontFace = oFontFace;
+			return window.document.fonts.load('1em "' + THIS.sFamily + '"').then(function() {
+				if (THIS.uStop !== uStop)
+					return;
+
+				THIS.evLoad(null);
+			});
+		}).catch(function(oError) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.sErrorKind = LoaderErrorKind.DECODE;
+			THIS.vCause = oError;
+			THIS.onLoadError(false);
+		});
+	}
+
+	/**
+	 * @protected
+	 */
+    cancel() {
+		this.stopAjax();
+
+		if (this.oFontFace !== null) {
+			window.document.fonts.delete(this.oFontFace);
+			this.oFontFace = null;
+
+			if (this.bReady) {
+				this.bReady = false;
+				this.oLoader.uncache(this);
+			}
+		}
+	}
+
+	/**
+	 * @protected
+	 * @param {*} event 
+	 */
+    evLoad(event) {
+		this.oLoader.cache(this);
+		this.onLoadComplete();
+    }
+}
+
+export class CacheData extends CacheItem {
+    /**
+     * @param {LoaderImpl} oLoader
+     * @param {string | null} sGroup 
+     * @param {string | null} sKey 
+     * @param {string} sUri
+     * @param {string} sExtension
+     * @param {Function | null} fnCallback
+     */
+    constructor(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
+        super(oLoader, sGroup, sKey, sUri, oLoader.typeOf(sExtension), fnCallback);
+
+        this.sResponseType = oLoader.responseTypeOf(sExtension);
+        /** Format of precompressed file, sExtension is inner one @private @type {string | null} */
+        this.sCompression = compressionOf(sUri);
+        /** @type {*} */ this.oData = null;
+
+        /** @private @type {Array<*>} */ this.aQuery = [];
+        /** @private @type {Array<*>} */ this.aSending = [];
+        /** Token aSending were sent with @private @type {string | null} */ this.sSentToken = null;
+        /** aSending are replayed after auth refresh @private */ this.bReplay = false;
+    }
+
+	/**
+	 * @override
+	 * @protected
+	 * @returns {string}
+	 */
+	jobType() {
+		if ((this.aQuery.length > 0) || (this.aSending.length > 0))
+			return sQueryJob;
+		return this.sType;
+	}
+
+	/**
+	 * Query responses are never stored
+	 * @override
+	 * @protected
+	 * @returns {boolean}
+	 */
+	persistable() {
+		return (this.aQuery.length === 0) && (this.aSending.length === 0) && (super.persistable());
+	}
+
+    /**
+     * @param {*} oMessage 
+     * @returns {CacheData}
+     */
+    message(oMessage) {
+        this.aQuery.push(oMessage);
+        return this;
+    }
+
+	/**
+	 * @override
+	 * @protected
+	 */
+    startAjax() {
+		let sPath = this.aUri[this.uIndex];
         if (this.aQuery.length > 0) {
             this.ajaxRequest.open('POST', sPath, true);
             this.ajaxRequest.setRequestHeader("Content-Type", "application/json;charset=UTF-8");
         } else {
             this.ajaxRequest.open('GET', sPath, true);
         }
-        this.ajaxRequest.responseType = this.sResponseType;
+        if (this.rawResponse())
+            this.ajaxRequest.responseType = LoaderResponseType.BLOB;
+        else if (this.sResponseType == LoaderResponseType.JSON)
+            // Browser JSON parser hides exception, text is parsed in evLoad
+            this.ajaxRequest.responseType = LoaderResponseType.TEXT;
+        else
+            this.ajaxRequest.responseType = this.sResponseType;
 
         if (this.aQuery.length > 0) {
             this.ajaxRequest.send(JSON.stringify({
@@ -923,6 +3073,7 @@ export class CacheData extends CacheItem {
             }));
             this.aSending = this.aQuery;
             this.aQuery = [];
+            this.sSentToken = this.oLoader.sToken;
         } else {
             this.ajaxRequest.send(null);
         }
@@ -936,76 +3087,572 @@ export class CacheData extends CacheItem {
 	}
 
 	/**
-	 * @override
+	 * @override
+	 * @protected
+	 */
+    release() {
+		super.release();
+
+		this.aQuery = [];
+        this.aSending = [];
+    }
+
+	/**
+	 * @protected
+	 * @param {*} event
+	 */
+	onLoadAjax(event) {
+		this.unbindAjax();
+		// Failure may start next request, so this one is released first
+		let vResponse = (this.ajaxRequest.responseType == "") ? this.ajaxRequest.responseText : this.ajaxRequest.response;
+		this.ajaxRequest = null;
+		this.loadResponse(vResponse);
+	}
+
+	/**
+	 * @override
+	 * @protected
+	 */
+	onErrorAjax() {
+        // Sent messages go first, also when nothing was queued since
+        if (this.aSending.length > 0) {
+            for (let iIndex = 0; iIndex < this.aQuery.length; iIndex++) {
+                this.aSending.push(this.aQuery[iIndex]);
+            }
+            this.aQuery = this.aSending;
+            this.aSending = [];
+        }
+	}
+
+	/**
+	 * Replays query with fresh credentials, once per refresh
+	 * @override
+	 * @protected
+	 */
+	onAuthError() {
+		if ((this.aSending.length === 0) || (this.bReplay) || (this.oLoader.fnAuthExpired === null)) {
+			super.onAuthError();
+			return;
+		}
+
+		this.bReplay = true;
+		this.unwatch();
+
+		// Credentials may be refreshed while query was sent
+		let oRefresh = (this.sSentToken !== this.oLoader.sToken) ? Promise.resolve(true) : this.oLoader.refreshAuth();
+		let uStop = this.uStop;
+		let THIS = this;
+		oRefresh.then(function(bRefreshed) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			if (!bRefreshed) {
+				THIS.onLoadError(false);
+				return;
+			}
+
+			THIS.cancel();
+			THIS.onErrorAjax();
+			THIS.create();
+		}, function(oError) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.sErrorKind = LoaderErrorKind.AUTH;
+			THIS.vCause = oError;
+			THIS.onLoadError(false);
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {*} vResponse
+	 */
+    loadResponse(vResponse) {
+        this.bReplay = false;
+
+        if (this.rawResponse()) {
+            this.loadBytes(new Uint8Array(/** @type {ArrayBuffer} */ (vResponse)), null);
+            return;
+        }
+
+        this.aSending = [];
+
+        if (this.sResponseType == LoaderResponseType.JSON) {
+            this.parseText(/** @type {string} */ (vResponse));
+            return;
+        }
+
+        this.oData = vResponse;
+		this.onLoadComplete();
+    }
+
+	/**
+	 * @override
+	 * @protected
+	 * @param {Uint8Array} aData
+	 * @param {string | null} sMime
+	 */
+	loadBytes(aData, sMime) {
+        this.aSending = [];
+
+        if (this.sCompression !== null)
+            this.decompress(aData);
+        else
+            this.parseBytes(aData);
+	}
+
+	/**
+	 * Compressed and verified data is downloaded as bytes
+	 * @private
+	 * @returns {boolean}
+	 */
+	rawResponse() {
+		return (this.sCompression !== null) || (this.integrity() !== null);
+	}
+
+	/**
+	 * @private
+	 * @param {Uint8Array} aData
+	 */
+	decompress(aData) {
+		let uStop = this.uStop;
+		let THIS = this;
+
+		this.touch();
+		decompress(aData, this.sCompression).then(function(aInflated) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.parseBytes(aInflated);
+		}, function(oError) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.sErrorKind = LoaderErrorKind.DECODE;
+			THIS.vCause = oError;
+			THIS.onLoadError(false);
+		});
+	}
+
+	/**
+	 * Applies response type to raw bytes
+	 * @private
+	 * @param {Uint8Array} aData
+	 */
+	parseBytes(aData) {
+        if (this.sResponseType == LoaderResponseType.BLOB) {
+            this.oData = bufferOf(aData);
+        } else {
+            let sText = new TextDecoder().decode(aData);
+            if (this.sResponseType == LoaderResponseType.JSON) {
+                this.parseText(sText);
+                return;
+            }
+            this.oData = sText;
+        }
+
+		this.onLoadComplete();
+	}
+
+	/**
+	 * Invalid JSON fails item by its failure policy
+	 * @private
+	 * @param {string} sText
+	 */
+	parseText(sText) {
+		try {
+			this.oData = JSON.parse(sText);
+		} catch (e) {
+			this.oData = null;
+			this.sErrorKind = LoaderErrorKind.PARSE;
+			this.vCause = e;
+			this.onLoadError(false);
+			return;
+		}
+
+		this.onLoadComplete();
+	}
+}
+
+/**
+ * ZIP bundle (stored or deflated), every file is loaded from memory as item of its own type,
+ * in same group, keyed by path inside bundle
+ */
+export class CacheBundle extends CacheItem {
+    /**
+     * @param {LoaderImpl} oLoader
+     * @param {string | null} sGroup 
+     * @param {string | null} sKey 
+     * @param {string} sUri 
+     * @param {Function | null} fnCallback
+     */
+    constructor(oLoader, sGroup, sKey, sUri, fnCallback) {
+        super(oLoader, sGroup, sKey, sUri, LoaderSupportedType.BUNDLE, fnCallback);
+
+        /** Items unpacked from bundle @type {Array<CacheItem>} */ this.aItems = [];
+    }
+
+	/**
+	 * @protected
+	 * @param {*} event
+	 */
+	onLoadAjax(event) {
+		this.unbindAjax();
+		let oResponse = /** @type {ArrayBuffer} */ (this.ajaxRequest.response);
+		this.ajaxRequest = null;
+		this.unpack(oResponse);
+	}
+
+	/**
+	 * Nested bundle
+	 * @override
+	 * @protected
+	 * @param {Uint8Array} aData
+	 * @param {string | null} sMime
+	 */
+	loadBytes(aData, sMime) {
+		this.unpack(bufferOf(aData));
+	}
+
+	/**
+	 * @private
+	 * @param {ArrayBuffer} oBuffer
+	 */
+	unpack(oBuffer) {
+		let uStop = this.uStop;
+		let THIS = this;
+
+		this.touch();
+		unzip(oBuffer).then(function(aEntries) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.extract(aEntries);
+		}, function(oError) {
+			if (THIS.uStop !== uStop)
+				return;
+
+			THIS.sErrorKind = LoaderErrorKind.DECODE;
+			THIS.vCause = oError;
+			THIS.onLoadError(false);
+		});
+	}
+
+	/**
+	 * Bundle completes after its files are added, requests of bundle wait for them too
+	 * @private
+	 * @param {Array<{sName: string, aData: Uint8Array}>} aEntries
+	 */
+	extract(aEntries) {
+		for (let iIndex = 0; iIndex < aEntries.length; iIndex++) {
+			let oEntry = aEntries[iIndex];
+			let oCacheItem = this.oLoader.loadMemory(this.sGroup, oEntry.sName, this.sUri + '#' + oEntry.sName, oEntry.aData, this);
+			if (this.aItems.indexOf(oCacheItem) < 0)
+				this.aItems.push(oCacheItem);
+		}
+
+		this.bReady = true;
+		this.oLoader.cache(this);
+		this.onLoadComplete();
+	}
+
+	/**
+	 * Releases every unpacked item too
+	 * @protected
+	 */
+    cancel() {
+		this.stopAjax();
+
+		let aItems = this.aItems;
+		this.aItems = [];
+		for (let iIndex = 0; iIndex < aItems.length; iIndex++) {
+			let oCacheItem = aItems[iIndex];
+			this.oLoader.releaseKey(oCacheItem, this.sGroup, oCacheItem.sKey);
+		}
+
+		if (this.bReady) {
+			this.bReady = false;
+			this.oLoader.uncache(this);
+		}
+	}
+}
+
+/** @typedef {Object<string, Object<string, CacheItem>>} LoaderCache */
+var LoaderCache;
+
+class QueueItem {
+    /**
+     * @param {CacheItem} oCacheItem 
+     */
+    constructor(oCacheItem) {
+        this.oCacheItem = oCacheItem;
+        this.iPriority = oCacheItem.iPriority;
+    }
+}
+
+/** @enum {number} */
+const LoaderRequestType = {
+	ITEM: 0,
+	GROUP: 1,
+	CONFIG: 2,
+};
+
+/**
+ * Thenable handle returned by every load call.
+ * Promise is created lazily, so callback-only users never get unhandled rejections.
+ * Requests left in queue are rejected as cancelled once loader terminates or is released.
+ */
+export class LoaderRequest {
+	/**
+	 * @param {LoaderImpl} oLoader
+	 * @param {LoaderRequestType} uType
+	 */
+	constructor(oLoader, uType) {
+		/** @private */ this.oLoader = oLoader;
+		/** @private */ this.uType = uType;
+		/** @private @type {Array<CacheItem>} */ this.aItems = [];
+		/** @private @type {Array<LoaderKey>} */ this.aKeys = [];
+		/** @private */ this.uPending = 0;
+		/** @private */ this.bSealed = false;
+		/** @private */ this.bDone = false;
+		/** @private @type {*} */ this.oResult = null;
+		/** @private @type {LoaderError | null} */ this.oError = null;
+
+		/** @private @type {Promise | null} */ this.oPromise = null;
+		/** @private @type {Function | null} */ this.fnResolve = null;
+		/** @private @type {Function | null} */ this.fnReject = null;
+
+		/** @private @type {Function | null} */ this.fnCallback = null;
+		/** @private @type {Function | null} */ this.fnSearch = null;
+		/** @private @type {AbortSignal | null} */ this.oSignal = null;
+		/** @private @type {Function | null} */ this.evAbort = null;
+	}
+
+	/**
+	 * Cancels every item of request not shared with other requests
+	 */
+	cancel() {
+		if (this.bDone)
+			return;
+
+		this.oLoader.cancelRequest(this);
+		this.reject(new LoaderError('Request cancelled', null, LoaderErrorKind.CANCELLED));
+	}
+
+	/**
+	 * Cancels request when signal is aborted
+	 * @param {AbortSignal} oSignal
+	 * @returns {LoaderRequest}
+	 */
+	abortOn(oSignal) {
+		if (oSignal.aborted) {
+			this.cancel();
+		} else if ((!this.bDone) && (this.oSignal === null)) {
+			this.oSignal = oSignal;
+			this.evAbort = this.cancel.bind(this);
+			bindEvent(this.oSignal, 'abort', this.evAbort);
+		}
+		return this;
+	}
+
+	/**
+	 * @private
+	 */
+	unbindSignal() {
+		if (this.oSignal === null)
+			return;
+
+		unbindEvent(this.oSignal, 'abort', this.evAbort);
+		this.oSignal = null;
+		this.evAbort = null;
+	}
+
+	/**
 	 * @protected
+	 * @param {CacheItem} oCacheItem
+	 * @param {string | null} sGroup Requested group, item may be shared
+	 * @param {string | null} sKey Requested key
 	 */
-    release() {
-		super.release();
+	attach(oCacheItem, sGroup, sKey) {
+		this.aItems.push(oCacheItem);
+		this.aKeys.push({ sGroup: sGroup, sKey: sKey });
+		if (!oCacheItem.bComplete) {
+			oCacheItem.aRequests.push(this);
+			this.uPending++;
+		}
+	}
 
-		this.aQuery = [];
-        this.aSending = [];
-    }
+	/**
+	 * Callback called from loader update once every item is loaded
+	 * @protected
+	 * @param {Function} fnSearch Callback as passed by user, to find it on unload
+	 * @param {Function} fnCallback
+	 */
+	callback(fnSearch, fnCallback) {
+		this.fnSearch = fnSearch;
+		this.fnCallback = fnCallback;
+		this.oLoader.aWaiting.push(this);
+	}
 
 	/**
 	 * @protected
-	 * @param {*} event
+	 * @returns {LoaderRequest}
 	 */
-	onLoadAjax(event) {
-		this.unbindAjax();
-		this.evLoad(event);
-		this.ajaxRequest = null;
+	seal() {
+		this.bSealed = true;
+		if (this.uPending === 0)
+			this.resolve();
+		return this;
 	}
 
 	/**
-	 * @override
 	 * @protected
+	 * @param {CacheItem} oCacheItem
 	 */
-	onErrorAjax() {
-        if (this.aQuery.length > 0) {
-            for (let iIndex = 0; iIndex < this.aQuery.length; iIndex++) {
-                this.aSending.push(this.aQuery[iIndex]);
-            }
-            this.aQuery = this.aSending;
-            this.aSending = [];
-        }
+	onItemLoad(oCacheItem) {
+		this.uPending--;
+		if ((this.bSealed) && (this.uPending === 0))
+			this.resolve();
 	}
 
 	/**
+	 * Optional item failed, request resolves without it
 	 * @protected
-	 * @param {*} event
+	 * @param {CacheItem} oCacheItem
 	 */
-    evLoad(event) {
-        this.aSending = [];
+	onItemSkip(oCacheItem) {
+		for (let iIndex = this.aItems.length - 1; iIndex >= 0; iIndex--) {
+			if (this.aItems[iIndex] === oCacheItem) {
+				this.aItems.splice(iIndex, 1);
+				this.aKeys.splice(iIndex, 1);
+			}
+		}
+		this.onItemLoad(oCacheItem);
+	}
 
-        if (this.ajaxRequest.responseType == "") {
-            if (this.sResponseType == LoaderResponseType.JSON)
-                try {
-                    this.oData = JSON.parse(this.ajaxRequest.responseText);
-                } catch (e) {
-                    console.log(e);
-                    this.oData = null;
-                }
-            else
-                this.oData = this.ajaxRequest.responseText;
-        } else
-            this.oData = this.ajaxRequest.response;
+	/**
+	 * @protected
+	 * @param {CacheItem} oCacheItem
+	 */
+	onItemError(oCacheItem) {
+		this.uPending--;
+		this.reject(/** @type {LoaderError} */ (oCacheItem.oError));
+	}
 
-		this.onLoadComplete();
-    }
-}
+	/**
+	 * Pending item was unloaded before completion
+	 * @protected
+	 * @param {CacheItem} oCacheItem
+	 */
+	onItemUnload(oCacheItem) {
+		this.uPending--;
+		this.reject(new LoaderError('Unloaded ' + oCacheItem.sUri, oCacheItem, LoaderErrorKind.CANCELLED));
+	}
 
-/** @typedef {Object<string, Object<string, CacheItem>>} LoaderCache */
-var LoaderCache;
+	/**
+	 * @private
+	 */
+	resolve() {
+		if (this.bDone)
+			return;
 
-class QueueItem {
-    /**
-     * @param {CacheItem | null} oCacheItem 
-     * @param {Function=} fnCallback 
-     */
-    constructor(oCacheItem, fnCallback) {
-        this.oCacheItem = oCacheItem;
-        this.fnCallback = fnCallback || null;
-    }
+		this.bDone = true;
+		this.unbindSignal();
+		this.oResult = this.result();
+		this.oLoader.ready(this);
+		this.settle();
+	}
+
+	/**
+	 * @private
+	 * @param {LoaderError} oError
+	 */
+	reject(oError) {
+		if (this.bDone)
+			return;
+
+		this.bDone = true;
+		this.unbindSignal();
+		this.oError = oError;
+		this.oLoader.unwait(this);
+		this.settle();
+	}
+
+	/**
+	 * @private
+	 */
+	settle() {
+		if ((!this.bDone) || (this.fnResolve === null))
+			return;
+
+		if (this.oError !== null)
+			this.fnReject(this.oError);
+		else
+			this.fnResolve(this.oResult);
+
+		this.fnResolve = null;
+		this.fnReject = null;
+	}
+
+	/**
+	 * @private
+	 * @returns {*}
+	 */
+	result() {
+		if (this.uType === LoaderRequestType.ITEM)
+			return (this.aItems.length > 0) ? this.aItems[0] : null;
+
+		/** @type {Object<string, *>} */
+		let oResult = {};
+		for (let iIndex = 0; iIndex < this.aItems.length; iIndex++) {
+			let oCacheItem = this.aItems[iIndex];
+			let oKey = this.aKeys[iIndex];
+			if ((oKey.sGroup === null) || (oKey.sKey === null))
+				continue;
+
+			if (this.uType === LoaderRequestType.GROUP) {
+				oResult[oKey.sKey] = oCacheItem;
+			} else {
+				if (oResult[oKey.sGroup] === undefined)
+					oResult[oKey.sGroup] = {};
+				oResult[oKey.sGroup][oKey.sKey] = oCacheItem;
+			}
+		}
+		return oResult;
+	}
+
+	/**
+	 * @returns {Promise}
+	 */
+	promise() {
+		if (this.oPromise === null) {
+			let THIS = this;
+			this.oPromise = new Promise(function(fnResolve, fnReject) {
+				THIS.fnResolve = fnResolve;
+				THIS.fnReject = fnReject;
+			});
+			this.settle();
+		}
+		return this.oPromise;
+	}
+
+	/**
+	 * @param {Function=} fnFulfilled
+	 * @param {Function=} fnRejected
+	 * @returns {Promise}
+	 */
+	then(fnFulfilled, fnRejected) {
+		return this.promise().then(fnFulfilled, fnRejected);
+	}
+
+	/**
+	 * @param {Function} fnRejected
+	 * @returns {Promise}
+	 */
+	catch(fnRejected) {
+		return this.promise().catch(fnRejected);
+	}
 }
 
 class LoaderImpl {
@@ -1015,7 +3662,9 @@ class LoaderImpl {
 
         /** @private @type {LoaderCache} */
         this.oCache = {};
-        /** @private @type {Array<string | Function>} */
+        /** @private @type {Object<string, CacheItem>} Queued, loading and loaded items by resolved uri */
+        this.oUris = {};
+        /** @private @type {Array<string>} */
         this.aSearch = [];
         /** @private @type {Array<QueueItem>} */
         this.aQueue = [];
@@ -1029,7 +3678,22 @@ class LoaderImpl {
             uTotal: 0,
             uComplete: 0,
             uError: 0,
+            uBytesLoaded: 0,
+            uBytesTotal: 0,
+            uSized: 0,
+            uUnsized: 0,
+            uSkipped: 0,
         };
+        /** @private @type {Array<CacheItem>} */
+        this.aFailed = [];
+        /** @private @type {Object<string, Object<string, *>>} */
+        this.oGroupOptions = {};
+        /** @private @type {Object<string, LoaderGroupStatus>} */
+        this.oGroups = {};
+        /** @private @type {Array<LoaderRequest>} Requests with pending callbacks */
+        this.aWaiting = [];
+        /** @private @type {Array<Function>} Callbacks to call on next update */
+        this.aReady = [];
 
         /** @private @type {Function} */
         this.evUpdate = this.update.bind(this);
@@ -1045,9 +3709,304 @@ class LoaderImpl {
 		
 		/** @private */ this.sToken = "unknown";
 		/** @private */ this.sSession = "unknown";
+		/** @private @type {function():Promise<Object<string, string> | null> | null} */
+		this.fnAuthExpired = null;
+		/** Pending call of fnAuthExpired, shared by every failed query @private @type {Promise<boolean> | null} */
+		this.oAuthRefresh = null;
 
 		/** @type {function(string):Array<string> | null} */
 		this.fnFileNamePreprocessor = null;
+
+		/** @type {LoaderRetryPolicy} */
+		this.oRetryPolicy = new LoaderRetryPolicy({}, null);
+
+		/** @type {number} */
+		this.uTimeout = 0;
+		/** @type {number} */
+		this.uStall = 0;
+
+		/** @private */ this.uMaxParallelJobs = uMaxParallelJobs;
+		/** @private @type {Object<string, number>} */
+		this.oTypeLimits = { [sQueryJob]: uMaxParallelQueries };
+		/** @private @type {Object<string, number>} */
+		this.oHostLimits = {};
+
+		/** @type {AudioContext | null} */
+		this.oAudioContext = null;
+
+		/** Preference of .snd virtual extension @type {Array<string>} */
+		this.aSoundFormats = aSoundFormats.slice();
+		/** Preference of .img virtual extension @type {Array<string>} */
+		this.aImageFormats = aImageFormats.slice();
+
+		/** Null while persistent cache is disabled @type {LoaderPersistentCache | null} */
+		this.oPersistent = null;
+
+		/** @type {LoaderManifest | null} */
+		this.oManifest = null;
+		/** Manifest being loaded, other items wait for it @private @type {CacheItem | null} */
+		this.oManifestItem = null;
+
+		/** @private @type {Object<string, LoaderType>} */
+		this.oTypes = {};
+		/** Registered type by extension @private @type {Object<string, string>} */
+		this.oExtensions = {};
+
+		this.registerType(LoaderSupportedType.IMAGE, {
+			'extensions': [".png", ".jpg", ".jpeg", ".gif", ".svg", ".webp", ".avif", ".img"],
+			'responseType': LoaderResponseType.BLOB,
+			'create': function(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
+				return new CacheImage(oLoader, sGroup, sKey, sUri, fnCallback);
+			}
+		});
+		this.registerType(LoaderSupportedType.SOUND, {
+			'extensions': [".mp3", ".ogg", ".m4a", ".aac", ".opus", ".webm", ".wav", ".flac", ".snd"],
+			'responseType': LoaderResponseType.BLOB,
+			'create': function(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
+				return new CacheSound(oLoader, sGroup, sKey, sUri, fnCallback);
+			}
+		});
+		this.registerType(LoaderSupportedType.JSON, {
+			'extensions': [".json"],
+			'responseType': LoaderResponseType.JSON,
+			'create': LoaderImpl.createData
+		});
+		this.registerType(LoaderSupportedType.ATLAS, {
+			'extensions': [".atlas"],
+			'responseType': LoaderResponseType.JSON,
+			'create': function(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
+				return new CacheAtlas(oLoader, sGroup, sKey, sUri, fnCallback);
+			}
+		});
+		this.registerType(LoaderSupportedType.AUDIOSPRITE, {
+			'extensions': [".audiosprite"],
+			'responseType': LoaderResponseType.JSON,
+			'create': function(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
+				return new CacheAudioSprite(oLoader, sGroup, sKey, sUri, fnCallback);
+			}
+		});
+		this.registerType(LoaderSupportedType.BUNDLE, {
+			'extensions': [".zip"],
+			'responseType': LoaderResponseType.BLOB,
+			'create': function(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
+				return new CacheBundle(oLoader, sGroup, sKey, sUri, fnCallback);
+			}
+		});
+		this.registerType(LoaderSupportedType.FONT, {
+			'extensions': [".woff2", ".woff", ".ttf", ".otf"],
+			'responseType': LoaderResponseType.BLOB,
+			'create': function(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
+				return new CacheFont(oLoader, sGroup, sKey, sUri, fnCallback);
+			}
+		});
+		this.registerType(LoaderSupportedType.TEXT, {
+			'extensions': [".txt"],
+			'responseType': LoaderResponseType.TEXT,
+			'create': LoaderImpl.createData
+		});
+		// Default for unknown extensions
+		this.registerType(LoaderSupportedType.DATA, {
+			'extensions': [".bin"],
+			'responseType': LoaderResponseType.BLOB,
+			'create': LoaderImpl.createData
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {LoaderImpl} oLoader
+	 * @param {string | null} sGroup
+	 * @param {string | null} sKey
+	 * @param {string} sUri
+	 * @param {string} sExtension
+	 * @param {Function | null} fnCallback
+	 * @returns {CacheItem}
+	 */
+	static createData(oLoader, sGroup, sKey, sUri, sExtension, fnCallback) {
+		return new CacheData(oLoader, sGroup, sKey, sUri, sExtension, fnCallback);
+	}
+
+	/**
+	 * Registers asset type or replaces existing one, type extensions are moved from other types
+	 * @param {string} sName Type name, also concurrency pool of setTypeConcurrency
+	 * @param {Object<string, *>} oHandler {extensions: Array<string>, responseType: string,
+	 *  create: function(oLoader, sGroup, sKey, sUri, sExtension, fnCallback):CacheItem}
+	 */
+	registerType(sName, oHandler) {
+		let oType = new LoaderType(sName, oHandler);
+
+		for (let sEXT in this.oExtensions) {
+			if (this.oExtensions[sEXT] === sName)
+				delete this.oExtensions[sEXT];
+		}
+		for (let iIndex = 0; iIndex < oType.aExtensions.length; iIndex++) {
+			this.oExtensions[oType.aExtensions[iIndex]] = sName;
+		}
+
+		this.oTypes[sName] = oType;
+	}
+
+	/**
+	 * @param {string} sEXT Extension with leading dot
+	 * @returns {string} Registered type, DATA if extension is unknown
+	 */
+	typeOf(sEXT) {
+		sEXT = sEXT.toLowerCase();
+		if (this.oExtensions.hasOwnProperty(sEXT))
+			return this.oExtensions[sEXT];
+		return LoaderSupportedType.DATA;
+	}
+
+	/**
+	 * @private
+	 * @param {string} sPath
+	 * @param {string} sExtension Last extension of path
+	 * @returns {string} Inner extension of precompressed data, like ".json" of "level.json.gz", sExtension otherwise
+	 */
+	dataExtension(sPath, sExtension) {
+		if (compressionOf(sPath) === null)
+			return sExtension;
+
+		let aMatch = /(\.[a-z0-9]+)\.[a-z0-9]+(?:[?#].*)?$/i.exec(sPath);
+		if (aMatch === null)
+			return sExtension;
+
+		// Only data types parse decompressed bytes
+		let sInner = aMatch[1].toLowerCase();
+		let sType = this.typeOf(sInner);
+		if ((sType === LoaderSupportedType.JSON) || (sType === LoaderSupportedType.TEXT) || (sType === LoaderSupportedType.DATA))
+			return sInner;
+		return sExtension;
+	}
+
+	/**
+	 * @param {string} sEXT Extension with leading dot
+	 * @returns {string} XHR response type, text if type has none or extension is unknown
+	 */
+	responseTypeOf(sEXT) {
+		sEXT = sEXT.toLowerCase();
+		if (this.oExtensions.hasOwnProperty(sEXT)) {
+			let sResponseType = this.oTypes[this.oExtensions[sEXT]].sResponseType;
+			if (sResponseType !== null)
+				return sResponseType;
+		}
+		return LoaderResponseType.TEXT;
+	}
+
+	/**
+	 * @param {string} sFormat Format like "webp" or ".webp"
+	 * @returns {string} Lower case extension with leading dot
+	 */
+	static extension(sFormat) {
+		sFormat = sFormat.toLowerCase();
+		return (sFormat.charAt(0) === '.') ? sFormat : '.' + sFormat;
+	}
+
+	/**
+	 * Preference order of .img virtual extension, formats browser can't decode are skipped,
+	 * rest are tried in order when server responds with error
+	 * @param {Array<string>} aFormats Extensions, like [".avif", ".webp", ".png"]
+	 */
+	setImageFormats(aFormats) {
+		this.aImageFormats = aFormats.map(LoaderImpl.extension);
+	}
+
+	/**
+	 * Preference order of .snd virtual extension, only first playable format is downloaded
+	 * @param {Array<string>} aFormats Extensions, like [".opus", ".m4a", ".mp3"]
+	 */
+	setSoundFormats(aFormats) {
+		this.aSoundFormats = aFormats.map(LoaderImpl.extension);
+	}
+
+	/**
+	 * Enables sound decoding with Web Audio, loading does not wait for playback permission.
+	 * Sounds are registered in Mixer as audio elements of decoded bytes, AudioBuffer is kept in CacheSound.oBuffer
+	 * @param {AudioContext | null} oAudioContext Null restores audio element loading
+	 */
+	setAudioContext(oAudioContext) {
+		this.oAudioContext = oAudioContext;
+	}
+
+	/**
+	 * Enables persistent cache, later sessions load stored files instead of downloading them.
+	 * Items loaded from it have sSource of LoaderSource.DISK in evLoaderFile
+	 * @param {string | null} sName Cache Storage name, null disables persistent cache
+	 * @param {string=} sVersion Application version, files stored with other version are downloaded again
+	 */
+	setPersistentCache(sName, sVersion) {
+		if ((sName === null) || (!LoaderPersistentCache.isSupported()))
+			this.oPersistent = null;
+		else
+			this.oPersistent = new LoaderPersistentCache(sName, (sVersion !== undefined) ? sVersion : '');
+	}
+
+	/**
+	 * Removes every stored file, loading items are not affected
+	 * @returns {Promise<boolean>} false if there was nothing to remove
+	 */
+	clearPersistentCache() {
+		if (this.oPersistent === null)
+			return Promise.resolve(false);
+		return this.oPersistent.clear();
+	}
+
+	/**
+	 * Font of loading screen text, for example family of loaded font asset
+	 * @param {string} sFamily CSS font family list, like '"Roboto", Arial'
+	 */
+	setLoadingFont(sFamily) {
+		this.guiLoading.sFont = sFamily;
+	}
+
+	/**
+	 * Limit of parallel jobs, except query() requests
+	 * @param {number} uMax
+	 */
+	setMaxParallelJobs(uMax) {
+		this.uMaxParallelJobs = Math.max(uMax, 1);
+	}
+
+	/**
+	 * Limit of parallel jobs per LoaderSupportedType, 'query' for query() requests
+	 * @param {string} sType
+	 * @param {number} uMax Zero removes limit (except 'query')
+	 */
+	setTypeConcurrency(sType, uMax) {
+		if ((uMax > 0) || (sType === sQueryJob))
+			this.oTypeLimits[sType] = Math.max(uMax, 1);
+		else
+			delete this.oTypeLimits[sType];
+	}
+
+	/**
+	 * Limit of parallel jobs per host, empty host is for relative urls
+	 * @param {string} sHost
+	 * @param {number} uMax Zero removes limit
+	 */
+	setHostConcurrency(sHost, uMax) {
+		if (uMax > 0)
+			this.oHostLimits[sHost.toLowerCase()] = uMax;
+		else
+			delete this.oHostLimits[sHost.toLowerCase()];
+	}
+
+	/**
+	 * Default timeouts for every loading phase (XHR, image and audio elements)
+	 * @param {number} uTimeout Total timeout in ms, zero disables
+	 * @param {number} uStall Timeout in ms without received bytes, zero disables
+	 */
+	setTimeouts(uTimeout, uStall) {
+		this.uTimeout = uTimeout;
+		this.uStall = uStall;
+	}
+
+	/**
+	 * Global retry policy, entries may override it with "retry" option
+	 * @param {Object<string, *>} oOptions see LoaderRetryPolicy
+	 */
+	setRetryPolicy(oOptions) {
+		this.oRetryPolicy = new LoaderRetryPolicy(oOptions, null);
 	}
 
 	/**
@@ -1059,6 +4018,63 @@ class LoaderImpl {
 		this.sSession = sSession;
 	}
 
+	/**
+	 * Hook called when query() is rejected with 401 or 403, resolves with fresh credentials
+	 * { "token": "...", "session": "..." }, or null to fail query with LoaderErrorKind.AUTH.
+	 * Messages of failed queries are sent again with new credentials
+	 * @param {function():Promise<Object<string, string> | null> | null} fnAuthExpired
+	 */
+	setAuthExpired(fnAuthExpired) {
+		this.fnAuthExpired = fnAuthExpired;
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<boolean>} false if credentials were not refreshed, rejected if hook is rejected
+	 */
+	refreshAuth() {
+		if (this.oAuthRefresh === null) {
+			let THIS = this;
+			this.oAuthRefresh = Promise.resolve().then(function() {
+				return THIS.fnAuthExpired();
+			}).then(function(oAuth) {
+				THIS.oAuthRefresh = null;
+				if ((oAuth === null) || (oAuth === undefined))
+					return false;
+
+				THIS.setAuth(oAuth['token'], oAuth['session']);
+				return true;
+			}, function(oError) {
+				THIS.oAuthRefresh = null;
+				throw oError;
+			});
+		}
+		return this.oAuthRefresh;
+	}
+
+	/**
+	 * Default entry options for every item of group, e.g. { "policy": "optional" }
+	 * @param {string} sGroup
+	 * @param {Object<string, *> | null} oOptions
+	 */
+	setGroupOptions(sGroup, oOptions) {
+		if (oOptions === null)
+			delete this.oGroupOptions[sGroup];
+		else
+			this.oGroupOptions[sGroup] = oOptions;
+	}
+
+	/**
+	 * @private
+	 * @param {string | null} sGroup
+	 * @returns {Object<string, *> | null}
+	 */
+	groupOptions(sGroup) {
+		if ((sGroup !== null) && (this.oGroupOptions.hasOwnProperty(sGroup)))
+			return this.oGroupOptions[sGroup];
+		return null;
+	}
+
     /**
      * @param {string} sBasePath 
      */
@@ -1071,50 +4087,70 @@ class LoaderImpl {
      * @param {Function=} fnCallback
      * @param {*=} oThis
      * @param {...*} va_args
+     * @returns {LoaderRequest}
      */
     load(oConfig, fnCallback, oThis, va_args) {
+		let oRequest = new LoaderRequest(this, LoaderRequestType.CONFIG);
+
 		for (var sGroup in oConfig) {
 			if (oConfig.hasOwnProperty(sGroup)) {
-				this.loadGroup(sGroup, oConfig[sGroup], null);
+				this.enqueueGroup(sGroup, oConfig[sGroup], oRequest);
 			}
 		}
 
         if ((fnCallback !== undefined) && (fnCallback !== null)) {
-            let args = Array.prototype.slice.call(arguments, 2);
-            this.aSearch.push(fnCallback);
-            this.aQueue.push(new QueueItem(null, fnCallback.bind.apply(fnCallback, args)));
-            this.oCount.uTotal++;
+            let args = Array.prototype.slice.call(arguments, 2);
+            oRequest.callback(fnCallback, fnCallback.bind.apply(fnCallback, args));
+        }
+
+		return oRequest.seal();
+    }
+
+    /**
+     * @param {string} sGroup 
+     * @param {*} oGroup 
+     * @param {Function=} fnCallback
+     * @returns {LoaderRequest}
+     */
+    loadGroup(sGroup, oGroup, fnCallback) {
+		let oRequest = new LoaderRequest(this, LoaderRequestType.GROUP);
+
+		this.enqueueGroup(sGroup, oGroup, oRequest);
+
+        if ((fnCallback !== undefined) && (fnCallback !== null)) {
+            oRequest.callback(fnCallback, fnCallback);
         }
+
+		return oRequest.seal();
     }
 
     /**
+     * @private
      * @param {string} sGroup 
      * @param {*} oGroup 
-     * @param {Function=} fnCallback
+     * @param {LoaderRequest} oRequest
      */
-    loadGroup(sGroup, oGroup, fnCallback) {
+    enqueueGroup(sGroup, oGroup, oRequest) {
+        let oDefaults = this.groupOptions(sGroup);
         if (typeof oGroup === 'string') {
-            let oURI = new URI(this.sBasePath, oGroup);
-            this.loadUri(sGroup, oURI.sFile, oURI, null);
+            let oEntry = new LoaderEntry(oGroup, oDefaults);
+            let oURI = new URI(this.sBasePath, oEntry.sUrl);
+            oRequest.attach(this.loadUri(sGroup, oURI.sFile, oURI, null, oEntry), sGroup, oURI.sFile);
         } else if (Array.isArray(oGroup)) {
             for (let i = 0; i < oGroup.length; i++) {
-                let oURI = new URI(this.sBasePath, oGroup[i]);
-                this.loadUri(sGroup, oURI.sFile, oURI, null);
+                let oEntry = new LoaderEntry(oGroup[i], oDefaults);
+                let oURI = new URI(this.sBasePath, oEntry.sUrl);
+                oRequest.attach(this.loadUri(sGroup, oURI.sFile, oURI, null, oEntry), sGroup, oURI.sFile);
             }
         } else {
             for (let sKey in oGroup) {
 				if (oGroup.hasOwnProperty(sKey)) {
-                	let oURI = new URI(this.sBasePath, oGroup[sKey]);
-					this.loadUri(sGroup, sKey, oURI, null);
+					let oEntry = new LoaderEntry(oGroup[sKey], oDefaults);
+                	let oURI = new URI(this.sBasePath, oEntry.sUrl);
+					oRequest.attach(this.loadUri(sGroup, sKey, oURI, null, oEntry), sGroup, sKey);
 				}
             }
 		}
-		
-        if ((fnCallback !== undefined) && (fnCallback !== null)) {
-            this.aSearch.push(fnCallback);
-            this.aQueue.push(new QueueItem(null, fnCallback));
-            this.oCount.uTotal++;
-        }
     }
 
     /**
@@ -1122,10 +4158,13 @@ class LoaderImpl {
      * @param {string} sKey 
      * @param {string} sURL 
      * @param {Function=} fnCallback
+     * @returns {LoaderRequest}
      */
     loadUrl(sGroup, sKey, sURL, fnCallback) {
+		let oRequest = new LoaderRequest(this, LoaderRequestType.ITEM);
         let oURI = new URI(this.sBasePath, sURL);
-        this.loadUri(sGroup, sKey, oURI, fnCallback);
+        oRequest.attach(this.loadUri(sGroup, sKey, oURI, fnCallback, new LoaderEntry(sURL, this.groupOptions(sGroup))), sGroup, sKey);
+		return oRequest.seal();
     }
 
     /**
@@ -1133,43 +4172,91 @@ class LoaderImpl {
      * @param {string} sGroup 
      * @param {string} sKey 
      * @param {URI} oURI 
-     * @param {Function=} fnCallback
+     * @param {Function | null | undefined} fnCallback
+     * @param {LoaderEntry} oEntry
+     * @returns {CacheItem}
      */
-    loadUri(sGroup, sKey, oURI, fnCallback) {
-        /** @type {QueueItem} */
-        let oQueueItem;
+    loadUri(sGroup, sKey, oURI, fnCallback, oEntry) {
+        /** @type {CacheItem} */
+        let oCacheItem;
 
-        let sType = typeOf(oURI.sExtension);
         let sPath = oURI.build();
-        if (sType == LoaderSupportedType.IMAGE) {
-            oQueueItem = new QueueItem(new CacheImage(this, sGroup, sKey, sPath, fnCallback || null), null);
-        } else if (sType == LoaderSupportedType.SOUND) {
-            oQueueItem = new QueueItem(new CacheSound(this, sGroup, sKey, sPath, fnCallback || null), null);
-        } else {
-            oQueueItem = new QueueItem(new CacheData(this, sGroup, sKey, sPath, oURI.sExtension, fnCallback || null), null);
+        let sExtension = this.dataExtension(sPath, oURI.sExtension);
+        let sType = ((oEntry.sType !== null) && this.oTypes.hasOwnProperty(oEntry.sType)) ? oEntry.sType : this.typeOf(sExtension);
+
+        oCacheItem = this.shared(sPath, sType);
+        if (oCacheItem !== null) {
+            this.share(oCacheItem, sGroup, sKey, fnCallback || null, oEntry);
+            return oCacheItem;
         }
 
-        this.aSearch.push(sGroup + ':' + sKey + ':' + sPath);
-        this.aQueue.push(oQueueItem);
+        oCacheItem = this.oTypes[sType].fnCreate(this, sGroup, sKey, sPath, sExtension, fnCallback || null);
+
+        // Configure before queueing, queue position depends on priority
+        oCacheItem.configure(oEntry);
+        this.oUris[sPath] = oCacheItem;
+
+        let oGroupStatus = this.group(sGroup);
+        if (oGroupStatus !== null) oGroupStatus.uTotal++;
+
+        this.enqueue(sGroup + ':' + sKey + ':' + sPath, new QueueItem(oCacheItem));
         this.oCount.uTotal++;
+
+        return oCacheItem;
     }
 
     /**
      * @param {string} sURL 
      * @param {Function=} fnCallback
+     * @returns {LoaderRequest}
      */
     loadJson(sURL, fnCallback) {
+		let oRequest = new LoaderRequest(this, LoaderRequestType.ITEM);
         let oURI = new URI(this.sBasePath, sURL);
 		
-		/** @type {QueueItem} */
-		let oQueueItem;
-		
         let sPath = oURI.build();
-        oQueueItem = new QueueItem(new CacheData(this, null, null, sPath, ".json", fnCallback || null), null);
+        let oCacheItem = this.shared(sPath, LoaderSupportedType.JSON);
+        if (oCacheItem !== null) {
+            this.share(oCacheItem, null, null, fnCallback || null, new LoaderEntry(sURL, null));
+        } else {
+            oCacheItem = new CacheData(this, null, null, sPath, ".json", fnCallback || null).configure(new LoaderEntry(sURL, null));
+            this.oUris[sPath] = oCacheItem;
+
+            this.enqueue(null + ':' + null + ':' + sPath, new QueueItem(oCacheItem));
+            this.oCount.uTotal++;
+        }
+
+		oRequest.attach(oCacheItem, null, null);
+		return oRequest.seal();
+    }
 
-        this.aSearch.push(null + ':' + null + ':' + sPath);
-        this.aQueue.push(oQueueItem);
+    /**
+     * Loads manifest of versioned urls (see LoaderManifest), items queued later
+     * wait for it and are loaded from versioned urls, keys and unload still use logical paths
+     * @param {string} sURL
+     * @param {Function=} fnCallback
+     * @returns {LoaderRequest}
+     */
+    loadManifest(sURL, fnCallback) {
+		let oRequest = new LoaderRequest(this, LoaderRequestType.ITEM);
+        let oURI = new URI(this.sBasePath, sURL);
+
+        let THIS = this;
+        // Stored manifest would never be updated
+        let oEntry = new LoaderEntry({ 'url': sURL, 'persist': false }, null);
+        let oCacheItem = new CacheData(this, null, null, oURI.build(), ".json", function(oCacheData) {
+            THIS.oManifestItem = null;
+            THIS.oManifest = new LoaderManifest(THIS.sBasePath, (oCacheData.oData !== null) ? oCacheData.oData : {});
+            if ((fnCallback !== undefined) && (fnCallback !== null))
+                fnCallback(oCacheData);
+        }).configure(oEntry);
+
+        this.oManifestItem = oCacheItem;
+        this.enqueue(null + ':' + null + ':' + oCacheItem.sUri, new QueueItem(oCacheItem), true);
         this.oCount.uTotal++;
+
+		oRequest.attach(oCacheItem, null, null);
+		return oRequest.seal();
     }
 
     /**
@@ -1184,12 +4271,7 @@ class LoaderImpl {
 		}
 
 		if ((fnCallback !== undefined) && (fnCallback !== null)) {
-            let iIndex = this.aSearch.indexOf(fnCallback);
-            if (iIndex >= 0) {
-                this.aSearch.splice(iIndex, 1);
-                this.aQueue.splice(iIndex, 1);
-                this.oCount.uTotal--;
-            }
+            this.unwaitCallback(fnCallback);
         }
     }
 
@@ -1204,25 +4286,20 @@ class LoaderImpl {
             this.unloadUri(sGroup, oURI.sFile, oURI);
         } else if (Array.isArray(oGroup)) {
             for (let i = 0; i < oGroup.length; i++) {
-                let oURI = new URI(this.sBasePath, oGroup[i]);
+                let oURI = new URI(this.sBasePath, new LoaderEntry(oGroup[i], null).sUrl);
                 this.unloadUri(sGroup, oURI.sFile, oURI);
             }
         } else {
             for (let sKey in oGroup) {
 				if (oGroup.hasOwnProperty(sKey)) {
-                	let oURI = new URI(this.sBasePath, oGroup[sKey]);
+                	let oURI = new URI(this.sBasePath, new LoaderEntry(oGroup[sKey], null).sUrl);
 					this.unloadUri(sGroup, sKey, oURI);
 				}
             }
 		}
 		
         if ((fnCallback !== undefined) && (fnCallback !== null)) {
-            let iIndex = this.aSearch.indexOf(fnCallback);
-            if (iIndex >= 0) {
-                this.aSearch.splice(iIndex, 1);
-                this.aQueue.splice(iIndex, 1);
-                this.oCount.uTotal--;
-            }
+            this.unwaitCallback(fnCallback);
         }
     }
 
@@ -1243,86 +4320,454 @@ class LoaderImpl {
      * @param {URI} oURI 
      */
     unloadUri(sGroup, sKey, oURI) {
-        let sSearch = sGroup + ':' + sKey + ':' + oURI.build();
-        let iIndex = this.aSearch.indexOf(sSearch);
-        if (iIndex >= 0) {
-            this.aSearch.splice(iIndex, 1);
-            this.aQueue.splice(iIndex, 1);
-            this.oCount.uTotal--;
+        let sPath = oURI.build();
+        let oCacheItem = this.oUris.hasOwnProperty(sPath) ? this.oUris[sPath] : null;
+        if (oCacheItem === null) {
+            // Item is failed or never loaded, forget cached key only
+            this.uncacheKey(sGroup, sKey, null);
+            return;
         }
 
-		if (this.oCache[sGroup] === undefined)
-			return;
-		if (this.oCache[sGroup].hasOwnProperty(sKey)) {
-			let o = /** @type {*} */ (this.oCache[sGroup]);
-			delete o[sKey];
-		}
+        this.releaseKey(oCacheItem, sGroup, sKey);
+    }
+
+    /**
+	 * Removes group and key from item, frees item without keys
+	 * @private
+     * @param {CacheItem} oCacheItem
+     * @param {string | null} sGroup
+     * @param {string | null} sKey
+     */
+    releaseKey(oCacheItem, sGroup, sKey) {
+        if (oCacheItem.indexOfKey(sGroup, sKey) < 0) {
+            this.uncacheKey(sGroup, sKey, null);
+            return;
+        }
+
+        // Last reference frees item
+        if (oCacheItem.aKeys.length === 1) {
+            this.freeItem(oCacheItem);
+            return;
+        }
+
+        oCacheItem.unalias(sGroup, sKey);
+        if (oCacheItem.bComplete) {
+            if ((sKey !== null) && (!oCacheItem.hasKey(sKey)))
+                oCacheItem.unpublishKey(sKey);
+            this.uncacheKey(sGroup, sKey, oCacheItem);
+        } else {
+            let oGroup = this.group(sGroup);
+            if (oGroup !== null) {
+                oGroup.uTotal--;
+                this.checkGroup(sGroup);
+            }
+        }
+    }
+
+    /**
+	 * Adds item from memory, shares already known item of same path
+	 * @private
+     * @param {string | null} sGroup
+     * @param {string} sKey Path inside of bundle
+     * @param {string} sPath Unique path, like bundle uri and path inside
+     * @param {Uint8Array} aData
+     * @param {CacheItem} oParent Item requests of which wait for new item too
+     * @returns {CacheItem}
+     */
+    loadMemory(sGroup, sKey, sPath, aData, oParent) {
+        let sExtension = this.dataExtension(sKey, extensionOf(sKey));
+        let sType = this.typeOf(sExtension);
+        // Nothing to retry or fall back to without network
+        let oEntry = new LoaderEntry({ 'url': sKey, 'policy': oParent.sPolicy, 'retry': { 'attempts': 0 } }, null);
+
+        let oCacheItem = this.shared(sPath, sType);
+        let bShared = (oCacheItem !== null);
+        if (bShared) {
+            this.share(oCacheItem, sGroup, sKey, null, oEntry);
+        } else {
+            oCacheItem = this.oTypes[sType].fnCreate(this, sGroup, sKey, sPath, sExtension, null);
+            oCacheItem.configure(oEntry);
+            oCacheItem.sSource = LoaderSource.MEMORY;
+            this.oUris[sPath] = oCacheItem;
+
+            let oGroupStatus = this.group(sGroup);
+            if (oGroupStatus !== null) oGroupStatus.uTotal++;
+
+            this.aLoading.push(oCacheItem);
+            this.oCount.uTotal++;
+            this.bStatus = true;
+        }
+
+        for (let iIndex = 0; iIndex < oParent.aRequests.length; iIndex++) {
+            oParent.aRequests[iIndex].attach(oCacheItem, sGroup, sKey);
+        }
+
+        if (!bShared)
+            oCacheItem.loadBytes(aData, mimeOf(sExtension));
+
+        return oCacheItem;
+    }
+
+    /**
+	 * Releases resource of item nobody references anymore
+	 * @private
+     * @param {CacheItem} oCacheItem
+     */
+    freeItem(oCacheItem) {
+        if (!oCacheItem.bComplete) {
+            let aRequests = oCacheItem.aRequests;
+            oCacheItem.aRequests = [];
+            this.cancelItem(oCacheItem);
+            for (let iIndex = 0; iIndex < aRequests.length; iIndex++) {
+                aRequests[iIndex].onItemUnload(oCacheItem);
+            }
+            return;
+        }
+
+        // Removes texture or sound and uncaches every key
+        oCacheItem.cancel();
+        this.uncache(oCacheItem);
+        oCacheItem.aKeys = [];
+        MessagePool.recv(evLoaderFree, oCacheItem);
     }
 
     /**
      * @param {string} sURL 
      * @param {*} oMessage 
-     * @param {Function} fnCallback
+     * @param {Function=} fnCallback
+     * @returns {LoaderRequest}
      */
     query(sURL, oMessage, fnCallback) {
+		let oRequest = new LoaderRequest(this, LoaderRequestType.ITEM);
         let oURI = new URI(this.sBasePath, sURL);
         let sUri = oURI.build();
         for (let i = this.aQueue.length - 1; i >= 0; i--) {
             let oQueueItem = this.aQueue[i];
-            if (oQueueItem.oCacheItem !== null) {
-                if (oQueueItem.oCacheItem.sUri == sUri) {
-                    let oCacheData = /** @type {CacheData} */ (oQueueItem.oCacheItem);
-                    oCacheData.message(oMessage);
-                    return;
-                }
+            if (oQueueItem.oCacheItem.sUri == sUri) {
+                let oCacheData = /** @type {CacheData} */ (oQueueItem.oCacheItem);
+                oCacheData.message(oMessage);
+                oRequest.attach(oCacheData, 'api', 'query');
+                return oRequest.seal();
             }
         }
 
-        let oCacheData = new CacheData(this, 'api', 'query', sUri, oURI.sExtension, fnCallback).message(oMessage);
-        this.aSearch.push('api:query:' + sUri);
-        this.aQueue.push(new QueueItem(oCacheData, null));
+        let oCacheData = new CacheData(this, 'api', 'query', sUri, oURI.sExtension, fnCallback || null).message(oMessage);
+        oCacheData.configure(new LoaderEntry(sURL, this.groupOptions('api')));
+        this.group('api').uTotal++;
+        this.enqueue('api:query:' + sUri, new QueueItem(oCacheData));
         this.oCount.uTotal++;
+
+		oRequest.attach(oCacheData, 'api', 'query');
+		return oRequest.seal();
+    }
+
+    /**
+	 * @private
+     * @param {string} sPath Resolved uri
+     * @param {string} sType
+     * @returns {CacheItem | null} Queued, loading or loaded item of same uri and type
+     */
+    shared(sPath, sType) {
+        if (!this.oUris.hasOwnProperty(sPath))
+            return null;
+
+        let oCacheItem = this.oUris[sPath];
+        return (oCacheItem.sType === sType) ? oCacheItem : null;
+    }
+
+    /**
+	 * Attaches another group and key to queued, loading or loaded item
+	 * @private
+     * @param {CacheItem} oCacheItem
+     * @param {string | null} sGroup
+     * @param {string | null} sKey
+     * @param {Function | null} fnCallback
+     * @param {LoaderEntry} oEntry
+     */
+    share(oCacheItem, sGroup, sKey, fnCallback, oEntry) {
+        let bAlias = oCacheItem.alias(sGroup, sKey);
+
+        if (oCacheItem.bComplete) {
+            if (bAlias) {
+                if (sKey !== null)
+                    oCacheItem.publishKey(sKey);
+                this.cacheKey(sGroup, sKey, oCacheItem);
+            }
+            if (fnCallback !== null)
+                this.aReady.push(fnCallback.bind(null, oCacheItem));
+        } else {
+            if (fnCallback !== null)
+                oCacheItem.addCallback(fnCallback);
+
+            // Move queued item ahead for more urgent requester
+            if (oEntry.iPriority > oCacheItem.iPriority) {
+                oCacheItem.iPriority = oEntry.iPriority;
+                for (let iIndex = 0; iIndex < this.aQueue.length; iIndex++) {
+                    if (this.aQueue[iIndex].oCacheItem === oCacheItem) {
+                        let sSearch = this.aSearch[iIndex];
+                        this.aSearch.splice(iIndex, 1);
+                        this.aQueue.splice(iIndex, 1);
+                        this.enqueue(sSearch, new QueueItem(oCacheItem));
+                        break;
+                    }
+                }
+            }
+        }
+
+        let oGroup = this.group(sGroup);
+        if ((bAlias) && (oGroup !== null)) {
+            oGroup.uTotal++;
+            if (oCacheItem.bComplete) {
+                oGroup.uComplete++;
+                this.checkGroup(sGroup);
+            }
+        }
+    }
+
+    /**
+	 * Inserts item after all items with same or higher priority
+	 * @private
+     * @param {string} sSearch
+     * @param {QueueItem} oQueueItem
+     * @param {boolean=} bFront Insert before items with same priority
+     */
+    enqueue(sSearch, oQueueItem, bFront) {
+        let iIndex = this.aQueue.length;
+        while ((iIndex > 0) && (
+            (this.aQueue[iIndex - 1].iPriority < oQueueItem.iPriority) ||
+            ((bFront === true) && (this.aQueue[iIndex - 1].iPriority === oQueueItem.iPriority))
+        )) {
+            iIndex--;
+        }
+
+        this.aSearch.splice(iIndex, 0, sSearch);
+        this.aQueue.splice(iIndex, 0, oQueueItem);
+    }
+
+    /**
+	 * @protected
+     * @param {LoaderRequest} oRequest
+     */
+    cancelRequest(oRequest) {
+        for (let iIndex = 0; iIndex < oRequest.aItems.length; iIndex++) {
+            let oCacheItem = oRequest.aItems[iIndex];
+            let iRequest = oCacheItem.aRequests.indexOf(oRequest);
+            if (iRequest < 0)
+                continue;
+
+            oCacheItem.aRequests.splice(iRequest, 1);
+            if (oCacheItem.aRequests.length === 0)
+                this.cancelItem(oCacheItem);
+        }
+
+    }
+
+    /**
+	 * Schedules callback of resolved request
+	 * @protected
+     * @param {LoaderRequest} oRequest
+     */
+    ready(oRequest) {
+        let iIndex = this.aWaiting.indexOf(oRequest);
+        if (iIndex < 0)
+            return;
+
+        this.aWaiting.splice(iIndex, 1);
+        this.aReady.push(oRequest.fnCallback);
+    }
+
+    /**
+	 * @protected
+     * @param {LoaderRequest} oRequest
+     */
+    unwait(oRequest) {
+        let iIndex = this.aWaiting.indexOf(oRequest);
+        if (iIndex >= 0)
+            this.aWaiting.splice(iIndex, 1);
+    }
+
+    /**
+	 * @private
+     * @param {Function} fnCallback Callback as passed to load or loadGroup
+     */
+    unwaitCallback(fnCallback) {
+        for (let iIndex = 0; iIndex < this.aWaiting.length; iIndex++) {
+            let oRequest = this.aWaiting[iIndex];
+            if (oRequest.fnSearch === fnCallback) {
+                this.aWaiting.splice(iIndex, 1);
+                oRequest.fnCallback = null;
+                oRequest.fnSearch = null;
+                return;
+            }
+        }
+    }
+
+    /**
+	 * @param {string} sGroup
+     * @returns {LoaderGroupStatus | null}
+     */
+    groupStatus(sGroup) {
+        return this.oGroups.hasOwnProperty(sGroup) ? this.oGroups[sGroup] : null;
+    }
+
+    /**
+	 * @private
+	 * @param {string | null} sGroup
+     * @returns {LoaderGroupStatus | null}
+     */
+    group(sGroup) {
+        if (sGroup === null)
+            return null;
+
+        if (!this.oGroups.hasOwnProperty(sGroup)) {
+            this.oGroups[sGroup] = {
+                uTotal: 0,
+                uComplete: 0,
+                uError: 0,
+                uSkipped: 0,
+            };
+        }
+        return this.oGroups[sGroup];
+    }
+
+    /**
+	 * Updates status of every group item is cached under
+	 * @private
+	 * @param {CacheItem} oCacheItem
+	 * @param {function(LoaderGroupStatus)} fnCount
+     */
+    countGroups(oCacheItem, fnCount) {
+        for (let iIndex = 0; iIndex < oCacheItem.aKeys.length; iIndex++) {
+            let sGroup = oCacheItem.aKeys[iIndex].sGroup;
+            let oGroup = this.group(sGroup);
+            if (oGroup !== null) {
+                fnCount(oGroup);
+                this.checkGroup(sGroup);
+            }
+        }
+    }
+
+    /**
+	 * Notifies about group completion
+	 * @private
+	 * @param {string | null} sGroup
+     */
+    checkGroup(sGroup) {
+        let oGroup = this.group(sGroup);
+        if ((oGroup === null) || (oGroup.uError > 0))
+            return;
+
+        if (oGroup.uComplete + oGroup.uSkipped === oGroup.uTotal)
+            MessagePool.recv(evLoaderGroup, sGroup, oGroup);
+    }
+
+    /**
+	 * Removes queued item or aborts loading one
+	 * @private
+     * @param {CacheItem} oCacheItem
+     * @returns {boolean} false if item is not queued or loading
+     */
+    cancelItem(oCacheItem) {
+        let iIndex = -1;
+        for (let iQueue = 0; iQueue < this.aQueue.length; iQueue++) {
+            if (this.aQueue[iQueue].oCacheItem === oCacheItem) {
+                iIndex = iQueue;
+                break;
+            }
+        }
+
+        if (iIndex >= 0) {
+            this.aSearch.splice(iIndex, 1);
+            this.aQueue.splice(iIndex, 1);
+        } else {
+            iIndex = this.aLoading.indexOf(oCacheItem);
+            if (iIndex < 0)
+                return false;
+
+            this.aLoading.splice(iIndex, 1);
+            oCacheItem.release();
+        }
+
+        if (oCacheItem === this.oManifestItem)
+            this.oManifestItem = null;
+
+        oCacheItem.unconfigure();
+        this.unshare(oCacheItem);
+        this.oCount.uTotal--;
+        this.bStatus = true;
+        MessagePool.recv(evLoaderCancel, oCacheItem);
+
+        this.countGroups(oCacheItem, function(oGroup) {
+            oGroup.uTotal--;
+        });
+        return true;
     }
 
     /** @private */
     update() {
-        let uMaxCount = uMaxParallelJobs - this.aLoading.length;
-        let iCount = this.aQueue.length;
-        if (this.oCount.uError > 0) iCount = 0;
-        if (iCount > uMaxCount) iCount = uMaxCount;
-        if (iCount == 0) iCount = -1;
-        else if (this.bStatus) {
+        if (this.bStatus) {
 			MessagePool.recv(evLoaderStatus, this.oCount);
             this.bStatus = false;
         }
-        while (iCount > 0) {
-            let oQueueItem = this.aQueue[0];
-            if (oQueueItem.oCacheItem === null) {
-                if (this.aLoading.length === 0) {
-                    this.aSearch.shift();
-                    this.aQueue.shift();
-                    this.oCount.uComplete++;
-                    oQueueItem.fnCallback();
-                } else {
-                    break;
-                }
+
+        let aReady = this.aReady;
+        this.aReady = [];
+        for (let iIndex = 0; iIndex < aReady.length; iIndex++) {
+            aReady[iIndex]();
+        }
+
+        let bBlocked = (this.oCount.uError > 0);
+
+        /** @type {Object<string, number>} */
+        let oJobs = {};
+        /** @type {Object<string, number>} */
+        let oHosts = {};
+        let uJobs = 0;
+        for (let iIndex = 0; iIndex < this.aLoading.length; iIndex++) {
+            let sJob = this.aLoading[iIndex].jobType();
+            let sHost = this.aLoading[iIndex].host();
+            oJobs[sJob] = (oJobs[sJob] || 0) + 1;
+            oHosts[sHost] = (oHosts[sHost] || 0) + 1;
+            if (sJob !== sQueryJob) uJobs++;
+        }
+
+        let iIndex = 0;
+        while ((!bBlocked) && (iIndex < this.aQueue.length)) {
+            let oCacheItem = this.aQueue[iIndex].oCacheItem;
+            // Uris are resolved through manifest once it is loaded
+            if ((this.oManifestItem !== null) && (oCacheItem !== this.oManifestItem)) {
+                iIndex++;
+                continue;
+            }
+
+            let sJob = oCacheItem.jobType();
+            let sHost = oCacheItem.host();
+            if (((sJob === sQueryJob) || (uJobs < this.uMaxParallelJobs)) &&
+                ((this.oTypeLimits[sJob] === undefined) || ((oJobs[sJob] || 0) < this.oTypeLimits[sJob])) &&
+                ((this.oHostLimits[sHost] === undefined) || ((oHosts[sHost] || 0) < this.oHostLimits[sHost]))) {
+                this.aSearch.splice(iIndex, 1);
+                this.aQueue.splice(iIndex, 1);
+                this.aLoading.push(oCacheItem);
+                oJobs[sJob] = (oJobs[sJob] || 0) + 1;
+                oHosts[sHost] = (oHosts[sHost] || 0) + 1;
+                if (sJob !== sQueryJob) uJobs++;
+                oCacheItem.create();
             } else {
-                this.aSearch.shift();
-                this.aQueue.shift();
-                this.aLoading.push(oQueueItem.oCacheItem);
-                oQueueItem.oCacheItem.create();
+                iIndex++;
             }
-            iCount--;
         }
-        if ((this.aLoading.length > 0) || (iCount === 0)) {
+
+        if ((this.aLoading.length > 0) || (this.aReady.length > 0) || ((!bBlocked) && (this.aQueue.length > 0))) {
             this.idUpdate = setTimeout(this.evUpdate, 15);
         } else {
             this.idUpdate = null;
 
-            if (this.oCount.uError > 0)
-				MessagePool.recv(evLoaderTerminate);
-            else {
-				MessagePool.recv(evLoaderComplete, this.oCache);
+            if (this.oCount.uError > 0) {
+                // Queue is blocked until release
+                this.rejectPending('Loader terminated');
+				MessagePool.recv(evLoaderTerminate, this.aFailed);
+            } else {
+				MessagePool.recv(evLoaderComplete, this.oCache, this.aFailed);
             }
 			MessagePool.recv(evLoaderStop);
         }
@@ -1331,6 +4776,7 @@ class LoaderImpl {
     run() {
         this.imgLoading = Gallery.get(sLoadingTexture);
         if (this.idUpdate === null) {
+			this.aFailed = [];
 			MessagePool.recv(evLoaderStart);
             this.idUpdate = setTimeout(this.evUpdate, 15);
         }
@@ -1345,28 +4791,48 @@ class LoaderImpl {
         for (let iIndex = this.aLoading.length - 1; iIndex >= 0; iIndex--) {
             let oCacheItem = this.aLoading[iIndex];
             oCacheItem.cancel();
-            let oQueueItem = new QueueItem(oCacheItem, null);
-            this.aSearch.unshift(oCacheItem.sGroup + ':' + oCacheItem.sKey + ':' + oCacheItem.sUri);
-            this.aQueue.unshift(oQueueItem);
+            let oQueueItem = new QueueItem(oCacheItem);
+            this.enqueue(oCacheItem.sGroup + ':' + oCacheItem.sKey + ':' + oCacheItem.sUri, oQueueItem, true);
         }
         this.aLoading = [];
     }
 
+    /**
+	 * Rejects requests which would never settle otherwise
+	 * @private
+     * @param {string} sMessage
+     */
+    rejectPending(sMessage) {
+        /** @type {Array<LoaderRequest>} */
+        let aRequests = this.aWaiting.slice();
+        for (let iIndex = 0; iIndex < this.aLoading.length; iIndex++) {
+            aRequests = aRequests.concat(this.aLoading[iIndex].aRequests);
+            this.aLoading[iIndex].aRequests = [];
+        }
+        for (let iIndex = 0; iIndex < this.aQueue.length; iIndex++) {
+            aRequests = aRequests.concat(this.aQueue[iIndex].oCacheItem.aRequests);
+            this.aQueue[iIndex].oCacheItem.aRequests = [];
+        }
+        for (let iIndex = 0; iIndex < aRequests.length; iIndex++) {
+            aRequests[iIndex].reject(new LoaderError(sMessage, null, LoaderErrorKind.CANCELLED));
+        }
+    }
+
     release() {
         if (this.idUpdate !== null) {
             clearTimeout(this.idUpdate);
             this.idUpdate = null;
         }
 
+        this.rejectPending('Loader released');
+
         for (let iIndex = this.aLoading.length - 1; iIndex >= 0; iIndex--) {
             this.aLoading[iIndex].release();
         }
         this.aLoading = [];
 
         for (let iIndex = this.aQueue.length - 1; iIndex >= 0; iIndex--) {
-            let oQueueItem = this.aQueue[iIndex];
-            if (oQueueItem.oCacheItem !== null)
-                oQueueItem.oCacheItem.release();
+            this.aQueue[iIndex].oCacheItem.release();
         }
         this.aSearch = [];
         this.aQueue = [];
@@ -1381,40 +4847,108 @@ class LoaderImpl {
 			}
         }
         this.oCache = {};
+        this.oUris = {};
 
         this.oCount.uTotal = 0;
         this.oCount.uComplete = 0;
         this.oCount.uError = 0;
+        this.oCount.uBytesLoaded = 0;
+        this.oCount.uBytesTotal = 0;
+        this.oCount.uSized = 0;
+        this.oCount.uUnsized = 0;
+        this.oCount.uSkipped = 0;
+        this.aFailed = [];
+        this.oGroups = {};
+        this.aWaiting = [];
+        this.aReady = [];
     }
 
+	/**
+	 * Byte weighted progress, items of unknown size are weighted by average known size
+	 * @returns {number} 0..1
+	 */
+	progress() {
+		let oCount = this.oCount;
+		if (oCount.uSized === 0)
+			return (oCount.uTotal > 0) ? (oCount.uComplete + oCount.uSkipped) / oCount.uTotal : 0;
+
+		let fAverage = oCount.uBytesTotal / oCount.uSized;
+		let fTotal = oCount.uBytesTotal + oCount.uUnsized * fAverage;
+		if (fTotal <= 0)
+			return (oCount.uTotal > 0) ? (oCount.uComplete + oCount.uSkipped) / oCount.uTotal : 0;
+
+		return Math.min(oCount.uBytesLoaded / fTotal, 1);
+	}
+
     /**
 	 * @protected
      * @param {CacheItem} oCacheItem
      */
     cache(oCacheItem) {
-		if ((oCacheItem.sKey !== null) && (oCacheItem.sGroup !== null)) {
-			if (this.oCache[oCacheItem.sGroup] === undefined)
-				this.oCache[oCacheItem.sGroup] = {};
+		for (let iIndex = 0; iIndex < oCacheItem.aKeys.length; iIndex++) {
+			let oKey = oCacheItem.aKeys[iIndex];
+			this.cacheKey(oKey.sGroup, oKey.sKey, oCacheItem);
+		}
+    }
+
+    /**
+	 * @private
+	 * @param {string | null} sGroup
+	 * @param {string | null} sKey
+     * @param {CacheItem} oCacheItem
+     */
+    cacheKey(sGroup, sKey, oCacheItem) {
+		if ((sKey !== null) && (sGroup !== null)) {
+			if (this.oCache[sGroup] === undefined)
+				this.oCache[sGroup] = {};
 
-			let o = /** @type {*} */ (this.oCache[oCacheItem.sGroup]);
-			o[oCacheItem.sKey] = oCacheItem;
+			let o = /** @type {*} */ (this.oCache[sGroup]);
+			o[sKey] = oCacheItem;
 		}
     }
 
+    /**
+	 * Forgets item for deduplication
+	 * @private
+     * @param {CacheItem} oCacheItem
+     */
+    unshare(oCacheItem) {
+		if (this.oUris[oCacheItem.sUri] === oCacheItem)
+			delete this.oUris[oCacheItem.sUri];
+    }
+
     /**
 	 * @protected
      * @param {CacheItem} oCacheItem
      */
     uncache(oCacheItem) {
-		if ((oCacheItem.sKey !== null) && (oCacheItem.sGroup !== null)) {
-			if (this.oCache[oCacheItem.sGroup] === undefined)
-				return;
-			if (this.oCache[oCacheItem.sGroup].hasOwnProperty(oCacheItem.sKey)) {
-				let o = /** @type {*} */ (this.oCache[oCacheItem.sGroup]);
-				delete o[oCacheItem.sKey];
-			}
+		this.unshare(oCacheItem);
+
+		for (let iIndex = 0; iIndex < oCacheItem.aKeys.length; iIndex++) {
+			let oKey = oCacheItem.aKeys[iIndex];
+			this.uncacheKey(oKey.sGroup, oKey.sKey, oCacheItem);
 		}
 	}
+
+    /**
+	 * @private
+	 * @param {string | null} sGroup
+	 * @param {string | null} sKey
+     * @param {CacheItem | null} oCacheItem Only removes key cached for this item, any item if null
+     */
+    uncacheKey(sGroup, sKey, oCacheItem) {
+		if ((sKey === null) || (sGroup === null))
+			return;
+		if (this.oCache[sGroup] === undefined)
+			return;
+		if (!this.oCache[sGroup].hasOwnProperty(sKey))
+			return;
+		if ((oCacheItem !== null) && (this.oCache[sGroup][sKey] !== oCacheItem))
+			return;
+
+		let o = /** @type {*} */ (this.oCache[sGroup]);
+		delete o[sKey];
+	}
 	
 	/**
 	 * @param {string} sGroup 
@@ -1443,6 +4977,16 @@ class LoaderImpl {
         let iIndex = this.aLoading.indexOf(oCacheItem);
 		this.aLoading.splice(iIndex, 1);
 		MessagePool.recv(evLoaderFile, oCacheItem);
+
+		let aRequests = oCacheItem.aRequests;
+		oCacheItem.aRequests = [];
+		for (let iRequest = 0; iRequest < aRequests.length; iRequest++) {
+			aRequests[iRequest].onItemLoad(oCacheItem);
+		}
+
+		this.countGroups(oCacheItem, function(oGroup) {
+			oGroup.uComplete++;
+		});
     }
 
     /**
@@ -1450,11 +4994,39 @@ class LoaderImpl {
      * @param {CacheItem} oCacheItem
      */
     evError(oCacheItem) {
-        this.oCount.uError++;
+        let bRequired = (oCacheItem.sPolicy === LoaderFailurePolicy.REQUIRED);
+        if (bRequired) {
+            this.oCount.uError++;
+        } else {
+            this.oCount.uSkipped++;
+            oCacheItem.unconfigure();
+        }
         this.bStatus = true;
+        oCacheItem.oError = new LoaderError('Unable to load ' + oCacheItem.sUri, oCacheItem, oCacheItem.sErrorKind);
+        this.aFailed.push(oCacheItem);
+        this.unshare(oCacheItem);
+        // Rest is loaded from logical paths
+        if (oCacheItem === this.oManifestItem)
+            this.oManifestItem = null;
         let iIndex = this.aLoading.indexOf(oCacheItem);
         this.aLoading.splice(iIndex, 1);
-        MessagePool.recv(evLoaderError, oCacheItem);
+        MessagePool.recv(evLoaderError, oCacheItem, oCacheItem.oError);
+
+		let aRequests = oCacheItem.aRequests;
+		oCacheItem.aRequests = [];
+		for (let iRequest = 0; iRequest < aRequests.length; iRequest++) {
+			if (bRequired)
+				aRequests[iRequest].onItemError(oCacheItem);
+			else
+				aRequests[iRequest].onItemSkip(oCacheItem);
+		}
+
+		this.countGroups(oCacheItem, function(oGroup) {
+			if (bRequired)
+				oGroup.uError++;
+			else
+				oGroup.uSkipped++;
+		});
     }
 }
 
@@ -1545,6 +5117,8 @@ class RenderLoading {
     constructor(oLoader, uArcsCount) {
 		this.oLoader = oLoader;
 		this.uArcsCount = uArcsCount || 5;
+		/** Canvas font family of loading text */
+		this.sFont = "Arial";
         /** @type {Array<RenderArc>} */
         this.guiArcs;
         this.reset();
@@ -1584,7 +5158,7 @@ class RenderLoading {
 
         if (fErrorDistance < 1) {
             if ((((fErrorInterval / 500) | 0) % 2) == 0) {
-                oContext.font = "normal " + ((0.4 * fScale) | 0) + "px Arial";
+                oContext.font = "normal " + ((0.4 * fScale) | 0) + "px " + this.sFont;
                 oContext.textAlign = "center";
                 oContext.textBaseline = "middle";
                 oContext.strokeStyle = "#000000";
@@ -1594,12 +5168,12 @@ class RenderLoading {
                 oContext.fillText(sPressAnyKey, iX, iY);
             }
         } else {
-            let iPercent = (this.oLoader.oCount.uComplete * 100 / this.oLoader.oCount.uTotal) | 0;
+            let iPercent = (this.oLoader.progress() * 100) | 0;
             if (iPercent >= 100) iPercent = 99;
             if (iPercent > 0) {
                 let sText = iPercent + '%';
 
-                oContext.font = "normal " + ((0.28 * fScale) | 0) + "px Arial";
+                oContext.font = "normal " + ((0.28 * fScale) | 0) + "px " + this.sFont;
                 oContext.textAlign = "center";
                 oContext.textBaseline = "middle";
                 oContext.strokeStyle = "#000000";
@@ -0,0 +1,414 @@
+/*
+ * Copyright 2000-2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *		http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/** Order of code length codes in dynamic block header */
+const aCodeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+class HuffmanTree {
+	constructor() {
+		/** Count of codes by length */
+		this.aTable = new Uint16Array(16);
+		/** Symbols ordered by code */
+		this.aTrans = new Uint16Array(288);
+	}
+
+	/**
+	 * @param {Uint8Array} aLengths Code length of every symbol
+	 * @param {number} uOffset
+	 * @param {number} uCount
+	 */
+	build(aLengths, uOffset, uCount) {
+		this.aTable.fill(0);
+		for (let i = 0; i < uCount; i++)
+			this.aTable[aLengths[uOffset + i]]++;
+		this.aTable[0] = 0;
+
+		let aOffsets = new Uint16Array(16);
+		for (let i = 0, uSum = 0; i < 16; i++) {
+			aOffsets[i] = uSum;
+			uSum += this.aTable[i];
+		}
+
+		for (let i = 0; i < uCount; i++) {
+			let uLength = aLengths[uOffset + i];
+			if (uLength !== 0)
+				this.aTrans[aOffsets[uLength]++] = i;
+		}
+	}
+}
+
+/**
+ * @param {Uint8Array} aBits
+ * @param {Uint16Array} aBase
+ * @param {number} uDelta
+ * @param {number} uFirst
+ */
+function buildBitsBase(aBits, aBase, uDelta, uFirst) {
+	for (let i = 0; i < uDelta; i++)
+		aBits[i] = 0;
+	for (let i = 0; i < 30 - uDelta; i++)
+		aBits[i + uDelta] = (i / uDelta) | 0;
+
+	for (let i = 0, uSum = uFirst; i < 30; i++) {
+		aBase[i] = uSum;
+		uSum += 1 << aBits[i];
+	}
+}
+
+const aLengthBits = new Uint8Array(30);
+const aLengthBase = new Uint16Array(30);
+const aDistBits = new Uint8Array(30);
+const aDistBase = new Uint16Array(30);
+
+buildBitsBase(aLengthBits, aLengthBase, 4, 3);
+buildBitsBase(aDistBits, aDistBase, 2, 1);
+// Length code 285 is 258 without extra bits
+aLengthBits[28] = 0;
+aLengthBase[28] = 258;
+
+const oFixedLengthTree = new HuffmanTree();
+const oFixedDistTree = new HuffmanTree();
+
+oFixedLengthTree.aTable[7] = 24;
+oFixedLengthTree.aTable[8] = 152;
+oFixedLengthTree.aTable[9] = 112;
+for (let i = 0; i < 24; i++) oFixedLengthTree.aTrans[i] = 256 + i;
+for (let i = 0; i < 144; i++) oFixedLengthTree.aTrans[24 + i] = i;
+for (let i = 0; i < 8; i++) oFixedLengthTree.aTrans[168 + i] = 280 + i;
+for (let i = 0; i < 112; i++) oFixedLengthTree.aTrans[176 + i] = 144 + i;
+
+oFixedDistTree.aTable[5] = 32;
+for (let i = 0; i < 32; i++) oFixedDistTree.aTrans[i] = i;
+
+class InflateStream {
+	/**
+	 * @param {Uint8Array} aSource
+	 * @param {number} uSize Expected size, zero if unknown
+	 */
+	constructor(aSource, uSize) {
+		this.aSource = aSource;
+		this.uSourceIndex = 0;
+		this.uTag = 0;
+		this.uBitCount = 0;
+
+		// Size hint of corrupted header can't exceed maximal deflate ratio
+		this.aDest = new Uint8Array((uSize > 0) ? Math.min(uSize, aSource.length * 1032 + 1024) : Math.max(aSource.length * 4, 1024));
+		this.uDestLength = 0;
+
+		this.oLengthTree = new HuffmanTree();
+		this.oDistTree = new HuffmanTree();
+	}
+
+	/**
+	 * @returns {number}
+	 */
+	getBit() {
+		if (this.uBitCount-- === 0) {
+			if (this.uSourceIndex >= this.aSource.length)
+				throw new Error('Unexpected end of deflate stream');
+			this.uTag = this.aSource[this.uSourceIndex++];
+			this.uBitCount = 7;
+		}
+
+		let uBit = this.uTag & 1;
+		this.uTag >>>= 1;
+		return uBit;
+	}
+
+	/**
+	 * @param {number} uCount
+	 * @param {number} uBase
+	 * @returns {number}
+	 */
+	readBits(uCount, uBase) {
+		if (uCount === 0)
+			return uBase;
+
+		while (this.uBitCount < 24) {
+			if (this.uSourceIndex < this.aSource.length)
+				this.uTag |= this.aSource[this.uSourceIndex] << this.uBitCount;
+			this.uSourceIndex++;
+			this.uBitCount += 8;
+		}
+
+		let uValue = this.uTag & (0xffff >>> (16 - uCount));
+		this.uTag >>>= uCount;
+		this.uBitCount -= uCount;
+		return uValue + uBase;
+	}
+
+	/**
+	 * @param {HuffmanTree} oTree
+	 * @returns {number}
+	 */
+	decodeSymbol(oTree) {
+		let iSum = 0;
+		let iCurrent = 0;
+		let uLength = 0;
+
+		do {
+			iCurrent = 2 * iCurrent + this.getBit();
+			uLength++;
+			if (uLength > 15)
+				throw new Error('Invalid huffman code');
+			iSum += oTree.aTable[uLength];
+			iCurrent -= oTree.aTable[uLength];
+		} while (iCurrent >= 0);
+
+		return oTree.aTrans[iSum + iCurrent];
+	}
+
+	/**
+	 * @param {number} uLength Bytes to append
+	 */
+	reserve(uLength) {
+		if (this.uDestLength + uLength <= this.aDest.length)
+			return;
+
+		let aDest = new Uint8Array(Math.max(this.aDest.length * 2, this.uDestLength + uLength));
+		aDest.set(this.aDest.subarray(0, this.uDestLength));
+		this.aDest = aDest;
+	}
+
+	decodeTrees() {
+		let uLiterals = this.readBits(5, 257);
+		let uDistances = this.readBits(5, 1);
+		let uCodeLengths = this.readBits(4, 4);
+
+		let aLengths = new Uint8Array(288 + 32);
+		for (let i = 0; i < uCodeLengths; i++)
+			aLengths[aCodeLengthOrder[i]] = this.readBits(3, 0);
+
+		let oCodeTree = new HuffmanTree();
+		oCodeTree.build(aLengths, 0, 19);
+		aLengths.fill(0, 0, 19);
+
+		for (let uCount = 0; uCount < uLiterals + uDistances;) {
+			let uSymbol = this.decodeSymbol(oCodeTree);
+			let uRepeat = 0;
+			let uValue = 0;
+
+			if (uSymbol === 16) {
+				if (uCount === 0)
+					throw new Error('Invalid code length repeat');
+				uValue = aLengths[uCount - 1];
+				uRepeat = this.readBits(2, 3);
+			} else if (uSymbol === 17) {
+				uRepeat = this.readBits(3, 3);
+			} else if (uSymbol === 18) {
+				uRepeat = this.readBits(7, 11);
+			} else {
+				uValue = uSymbol;
+				uRepeat = 1;
+			}
+
+			if (uCount + uRepeat > uLiterals + uDistances)
+				throw new Error('Invalid code lengths');
+			while (uRepeat-- > 0)
+				aLengths[uCount++] = uValue;
+		}
+
+		this.oLengthTree.build(aLengths, 0, uLiterals);
+		this.oDistTree.build(aLengths, uLiterals, uDistances);
+	}
+
+	/**
+	 * @param {HuffmanTree} oLengthTree
+	 * @param {HuffmanTree} oDistTree
+	 */
+	inflateBlock(oLengthTree, oDistTree) {
+		for (;;) {
+			let uSymbol = this.decodeSymbol(oLengthTree);
+			if (uSymbol === 256)
+				return;
+
+			if (uSymbol < 256) {
+				this.reserve(1);
+				this.aDest[this.uDestLength++] = uSymbol;
+				continue;
+			}
+
+			uSymbol -= 257;
+			if (uSymbol >= 29)
+				throw new Error('Invalid length code');
+			let uLength = this.readBits(aLengthBits[uSymbol], aLengthBase[uSymbol]);
+			let uDist = this.decodeSymbol(oDistTree);
+			if (uDist >= 30)
+				throw new Error('Invalid distance code');
+			let iOffset = this.uDestLength - this.readBits(aDistBits[uDist], aDistBase[uDist]);
+			if (iOffset < 0)
+				throw new Error('Invalid distance');
+
+			this.reserve(uLength);
+			for (let i = iOffset; i < iOffset + uLength; i++)
+				this.aDest[this.uDestLength++] = this.aDest[i];
+		}
+	}
+
+	inflateStored() {
+		// Return bytes read ahead, stored block starts on byte boundary
+		while (this.uBitCount > 8) {
+			this.uSourceIndex--;
+			this.uBitCount -= 8;
+		}
+		this.uTag = 0;
+		this.uBitCount = 0;
+
+		let aSource = this.aSource;
+		let uIndex = this.uSourceIndex;
+		if (uIndex + 4 > aSource.length)
+			throw new Error('Unexpected end of deflate stream');
+
+		let uLength = aSource[uIndex] | (aSource[uIndex + 1] << 8);
+		let uInverse = aSource[uIndex + 2] | (aSource[uIndex + 3] << 8);
+		if (uLength !== (~uInverse & 0xffff))
+			throw new Error('Invalid stored block');
+
+		uIndex += 4;
+		if (uIndex + uLength > aSource.length)
+			throw new Error('Unexpected end of deflate stream');
+
+		this.reserve(uLength);
+		this.aDest.set(aSource.subarray(uIndex, uIndex + uLength), this.uDestLength);
+		this.uDestLength += uLength;
+		this.uSourceIndex = uIndex + uLength;
+	}
+
+	/**
+	 * @returns {Uint8Array}
+	 */
+	inflate() {
+		let uFinal;
+		do {
+			uFinal = this.getBit();
+			let uType = this.readBits(2, 0);
+
+			if (uType === 0) {
+				this.inflateStored();
+			} else if (uType === 1) {
+				this.inflateBlock(oFixedLengthTree, oFixedDistTree);
+			} else if (uType === 2) {
+				this.decodeTrees();
+				this.inflateBlock(this.oLengthTree, this.oDistTree);
+			} else {
+				throw new Error('Invalid deflate block type');
+			}
+		} while (uFinal === 0);
+
+		return (this.uDestLength === this.aDest.length) ? this.aDest : this.aDest.slice(0, this.uDestLength);
+	}
+}
+
+/**
+ * Decompresses raw deflate stream (RFC 1951) without native support
+ * @param {Uint8Array} aData
+ * @param {number=} uSize Expected size, if known
+ * @returns {Uint8Array}
+ * @throws {Error} On corrupted stream
+ */
+export function inflateRaw(aData, uSize) {
+	return new InflateStream(aData, uSize || 0).inflate();
+}
+
+/**
+ * Decompresses gzip member (RFC 1952) without native support
+ * @param {Uint8Array} aData
+ * @returns {Uint8Array}
+ * @throws {Error} On corrupted stream
+ */
+export function gunzip(aData) {
+	if ((aData.length < 18) || (aData[0] !== 0x1f) || (aData[1] !== 0x8b) || (aData[2] !== 8))
+		throw new Error('Invalid gzip header');
+
+	let uFlags = aData[3];
+	let uIndex = 10;
+	// Extra field
+	if ((uFlags & 4) !== 0)
+		uIndex += 2 + (aData[uIndex] | (aData[uIndex + 1] << 8));
+	// File name and comment are zero terminated
+	if ((uFlags & 8) !== 0)
+		while ((uIndex < aData.length) && (aData[uIndex++] !== 0));
+	if ((uFlags & 16) !== 0)
+		while ((uIndex < aData.length) && (aData[uIndex++] !== 0));
+	// Header crc
+	if ((uFlags & 2) !== 0)
+		uIndex += 2;
+
+	let uEnd = aData.length - 8;
+	let uSize = (aData[uEnd + 4] | (aData[uEnd + 5] << 8) | (aData[uEnd + 6] << 16) | (aData[uEnd + 7] << 24)) >>> 0;
+	return inflateRaw(aData.subarray(uIndex, uEnd), uSize);
+}
+
+/**
+ * Decompresses zlib stream (RFC 1950) without native support
+ * @param {Uint8Array} aData
+ * @returns {Uint8Array}
+ * @throws {Error} On corrupted stream
+ */
+export function inflateZlib(aData) {
+	if ((aData.length < 6) || ((aData[0] & 0x0f) !== 8) || ((((aData[0] << 8) | aData[1]) % 31) !== 0))
+		throw new Error('Invalid zlib header');
+	if ((aData[1] & 0x20) !== 0)
+		throw new Error('Zlib preset dictionary is not supported');
+
+	return inflateRaw(aData.subarray(2, aData.length - 4));
+}
+
+/** @type {Object<string, function(Uint8Array, number=):Uint8Array>} */
+const fallbacks = {
+	'deflate-raw': inflateRaw,
+	'gzip': gunzip,
+	'deflate': inflateZlib,
+};
+
+/**
+ * Decompresses with DecompressionStream, falls back to own inflate if format is not supported natively
+ * @param {Uint8Array} aData
+ * @param {string} sFormat 'deflate-raw', 'gzip' or 'deflate'
+ * @param {number=} uSize Expected size, if known
+ * @returns {Promise<Uint8Array>}
+ */
+export function decompress(aData, sFormat, uSize) {
+	let fnFallback = fallbacks.hasOwnProperty(sFormat) ? fallbacks[sFormat] : null;
+	let fnInflate = function() {
+		if (fnFallback === null)
+			throw new Error('Unsupported compression ' + sFormat);
+		return fnFallback(aData, uSize);
+	};
+
+	/** @type {DecompressionStream | null} */
+	let oDecompression = null;
+	if (typeof DecompressionStream !== 'undefined') {
+		try {
+			oDecompression = new DecompressionStream(sFormat);
+		} catch (e) {
+			oDecompression = null;
+		}
+	}
+
+	if (oDecompression === null) {
+		return new Promise(function(fnResolve) {
+			fnResolve(fnInflate());
+		});
+	}
+
+	let oStream = new Blob([ aData ]).stream().pipeThrough(oDecompression);
+	return new Response(oStream).arrayBuffer().then(function(oBuffer) {
+		return new Uint8Array(oBuffer);
+	});
+}
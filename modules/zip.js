@@ -0,0 +1,115 @@
+/*
+ * Copyright 2000-2020 Sergei Sovik <sergeisovik@yahoo.com>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *		http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { decompress } from "./inflate.js"
+
+const uEndOfCentralDirectory = 0x06054b50;
+const uCentralDirectoryHeader = 0x02014b50;
+const uLocalFileHeader = 0x04034b50;
+
+const uMethodStored = 0;
+const uMethodDeflate = 8;
+
+/** @typedef {{
+	sName: string,
+	aData: Uint8Array
+}} ZipEntry */
+var ZipEntry;
+
+/**
+ * @param {DataView} oView
+ * @returns {number} Offset of end of central directory record
+ * @throws {Error}
+ */
+function findEndOfCentralDirectory(oView) {
+	// Record is 22 bytes plus up to 64k comment
+	let iLast = Math.max(oView.byteLength - 22 - 0xffff, 0);
+	for (let iOffset = oView.byteLength - 22; iOffset >= iLast; iOffset--) {
+		if (oView.getUint32(iOffset, true) === uEndOfCentralDirectory)
+			return iOffset;
+	}
+	throw new Error('Zip end of central directory not found');
+}
+
+/**
+ * @param {Uint8Array} aBytes
+ * @returns {string}
+ */
+function decodeName(aBytes) {
+	if (typeof TextDecoder !== 'undefined')
+		return new TextDecoder().decode(aBytes);
+	return String.fromCharCode.apply(null, Array.from(aBytes));
+}
+
+/**
+ * Extracts every file of stored or deflated ZIP archive, folders are skipped
+ * @param {ArrayBuffer} oBuffer
+ * @returns {Promise<Array<ZipEntry>>}
+ */
+export function unzip(oBuffer) {
+	return new Promise(function(fnResolve) {
+		let oView = new DataView(oBuffer);
+		let aBuffer = new Uint8Array(oBuffer);
+
+		let iEnd = findEndOfCentralDirectory(oView);
+		let uCount = oView.getUint16(iEnd + 10, true);
+		let iOffset = oView.getUint32(iEnd + 16, true);
+
+		/** @type {Array<Promise<ZipEntry>>} */
+		let aEntries = [];
+		for (let iIndex = 0; iIndex < uCount; iIndex++) {
+			if (oView.getUint32(iOffset, true) !== uCentralDirectoryHeader)
+				throw new Error('Invalid zip central directory');
+
+			let uFlags = oView.getUint16(iOffset + 8, true);
+			let uMethod = oView.getUint16(iOffset + 10, true);
+			let uCompressed = oView.getUint32(iOffset + 20, true);
+			let uSize = oView.getUint32(iOffset + 24, true);
+			let uNameLength = oView.getUint16(iOffset + 28, true);
+			let uExtraLength = oView.getUint16(iOffset + 30, true);
+			let uCommentLength = oView.getUint16(iOffset + 32, true);
+			let iLocal = oView.getUint32(iOffset + 42, true);
+			let sName = decodeName(aBuffer.subarray(iOffset + 46, iOffset + 46 + uNameLength));
+
+			iOffset += 46 + uNameLength + uExtraLength + uCommentLength;
+
+			if (sName.charAt(sName.length - 1) === '/')
+				continue;
+			if ((uFlags & 1) !== 0)
+				throw new Error('Encrypted zip entry ' + sName);
+			if (oView.getUint32(iLocal, true) !== uLocalFileHeader)
+				throw new Error('Invalid zip local header ' + sName);
+
+			// Local header has own name and extra lengths
+			let iData = iLocal + 30 + oView.getUint16(iLocal + 26, true) + oView.getUint16(iLocal + 28, true);
+			let aData = aBuffer.subarray(iData, iData + uCompressed);
+
+			if (uMethod === uMethodStored) {
+				aEntries.push(Promise.resolve({ sName: sName, aData: aData }));
+			} else if (uMethod === uMethodDeflate) {
+				aEntries.push(decompress(aData, 'deflate-raw', uSize).then(function(aInflated) {
+					return { sName: sName, aData: aInflated };
+				}));
+			} else {
+				throw new Error('Unsupported zip compression method ' + uMethod + ' of ' + sName);
+			}
+		}
+
+		fnResolve(Promise.all(aEntries));
+	});
+}